@@ -14,7 +14,9 @@ import { CATEGORY_ICONS, CATEGORY_SCROLL_THRESHOLD, CATEGORY_SCROLL_DELAY } from
 
 export class CategoryManager {
     #categoryButtons;
-    #categorySections;
+    #tabBox;
+    #extensionDir;
+    #categorySections; // Category -> offset of its header in the grid
     #currentCategory;
     #scrollView;
     #scrollAdjustment;
@@ -29,6 +31,8 @@ export class CategoryManager {
         this.#scrollView = scrollView;
         this.#onCategoryChangeCallback = onCategoryChangeCallback;
         this.#categoryButtons = new Map();
+        this.#tabBox = null;
+        this.#extensionDir = null;
         this.#categorySections = new Map();
         this.#currentCategory = 'Frequently Used';
         this.#scrollAdjustment = null;
@@ -93,22 +97,14 @@ export class CategoryManager {
         let activeCategory = null;
         let minDistance = Infinity;
 
-        for (const [category, section] of this.#categorySections.entries()) {
-            try {
-                const allocation = section.get_allocation_box();
-                const sectionY = allocation.y1;
-                
-                // Check if this section is at or above the current scroll position
-                if (sectionY <= scrollY + CATEGORY_SCROLL_THRESHOLD) {
-                    const distance = scrollY - sectionY;
-                    if (distance >= 0 && distance < minDistance) {
-                        minDistance = distance;
-                        activeCategory = category;
-                    }
+        for (const [category, sectionY] of this.#categorySections.entries()) {
+            // Check if this section is at or above the current scroll position
+            if (sectionY <= scrollY + CATEGORY_SCROLL_THRESHOLD) {
+                const distance = scrollY - sectionY;
+                if (distance >= 0 && distance < minDistance) {
+                    minDistance = distance;
+                    activeCategory = category;
                 }
-            } catch (e) {
-                // Skip if allocation fails
-                continue;
             }
         }
 
@@ -127,13 +123,38 @@ export class CategoryManager {
      */
     buildCategoryTabs(categories, extensionDir) {
         log(`emoji-picker: buildCategoryTabs called with ${categories.length} categories: ${JSON.stringify(categories)}`);
-        const tabBox = new St.BoxLayout({
+        this.#extensionDir = extensionDir;
+        this.#tabBox = new St.BoxLayout({
             style_class: 'emoji-category-tabs',
             x_expand: true,
         });
 
-        log(`emoji-picker: tabBox created, initial children count: ${tabBox.get_n_children()}`);
+        this.updateCategoryTabs(categories);
+        return this.#tabBox;
+    }
+
+    /**
+     * Replace the tabs when the categories changed
+     * e.g. Favorites after the first pin, or Custom after its last entry is hidden.
+     * A current category that is gone falls back to the first tab.
+     *
+     * @param {Array<string>} categories
+     */
+    updateCategoryTabs(categories) {
+        if (!this.#tabBox) {
+            return;
+        }
+
+        const current = Array.from(this.#categoryButtons.keys());
+        if (current.length === categories.length && current.every((category, i) => category === categories[i])) {
+            return;
+        }
+
+        this.#tabBox.destroy_all_children();
+        this.#categoryButtons.clear();
 
+        const tabBox = this.#tabBox;
+        const extensionDir = this.#extensionDir;
         for (const category of categories) {
             log(`emoji-picker: Creating tab for category: ${category}`);
             const iconName = this.#getCategoryIconName(category);
@@ -167,9 +188,12 @@ export class CategoryManager {
             log(`emoji-picker: Added button for "${category}", tabBox now has ${tabBox.get_n_children()} children`);
         }
 
+        if (!categories.includes(this.#currentCategory) && categories.length > 0) {
+            this.#currentCategory = categories[0];
+        }
+
         this.updateCategoryStates();
         log(`emoji-picker: Final tabBox children count: ${tabBox.get_n_children()}`);
-        return tabBox;
     }
 
     /**
@@ -194,12 +218,13 @@ export class CategoryManager {
         log(`emoji-picker: New currentCategory: "${this.#currentCategory}"`);
         this.updateCategoryStates();
         
-        // Scroll to the category section after a small delay to ensure layout is ready
+        // Scroll to the category section after a small delay, so the adjustment
+        // covers a grid that was just re-rendered (e.g. search cleared)
         // Use a programmatic scroll flag so the scroll listener doesn't override
         // the user-initiated category selection.
         GLib.timeout_add(GLib.PRIORITY_DEFAULT, CATEGORY_SCROLL_DELAY, () => {
-            const section = this.#categorySections.get(category);
-            if (section) {
+            const sectionY = this.#categorySections.get(category);
+            if (sectionY !== undefined) {
                 try {
                     // Ensure we have the adjustment
                     if (!this.#scrollAdjustment && this.#scrollView) {
@@ -212,11 +237,7 @@ export class CategoryManager {
                         // Mark programmatic scroll so #onScroll ignores it
                         this.#programmaticScroll = true;
 
-                        // Get the position of the category header
-                        const allocation = section.get_allocation_box();
-                        const sectionY = allocation.y1;
-
-                        // Scroll to that position
+                        // Scroll to the header offset computed by the renderer
                         this.#scrollAdjustment.set_value(Math.max(0, sectionY - 10));
 
                         // Clear the flag shortly after to resume normal scroll handling
@@ -239,6 +260,22 @@ export class CategoryManager {
         }
     }
 
+    /**
+     * Move to the next or previous category tab, wrapping around
+     *
+     * @param {number} offset - 1 for next, -1 for previous
+     */
+    cycleCategory(offset) {
+        const categories = Array.from(this.#categoryButtons.keys());
+        if (categories.length === 0) {
+            return;
+        }
+
+        const index = Math.max(0, categories.indexOf(this.#currentCategory));
+        const next = (index + offset + categories.length) % categories.length;
+        this.setCategory(categories[next]);
+    }
+
     /**
      * Update category button states (visual highlighting)
      */
@@ -256,13 +293,15 @@ export class CategoryManager {
     }
 
     /**
-     * Register a category section (header widget)
+     * Register a category section
+     * Offsets come from the renderer's row math, since the header of a
+     * section that is scrolled out of view has no actor.
      *
      * @param {string} category
-     * @param {St.Widget} section
+     * @param {number} offset - Offset of the category header in the grid
      */
-    registerSection(category, section) {
-        this.#categorySections.set(category, section);
+    registerSection(category, offset) {
+        this.#categorySections.set(category, offset);
     }
 
     /**
@@ -13,6 +13,40 @@ import Meta from 'gi://Meta';
 import St from 'gi://St';
 import Clutter from 'gi://Clutter';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { OUTPUT_FORMATS, SKIN_TONES } from './constants.js';
+
+/**
+ * Format an emoji for output
+ * Shortcodes use the first alias, with a Slack-style :skin-tone-N: suffix for
+ * toned variants, and fall back to the glyph when the emoji has no alias.
+ *
+ * @param {string} emoji - Emoji text, including any skin tone
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @param {Array<string>} aliases - Aliases of the emoji's dataset entry
+ * @returns {string}
+ */
+export function formatEmoji(emoji, format, aliases = []) {
+    const codePoints = Array.from(emoji, char => char.codePointAt(0).toString(16).toUpperCase());
+
+    if (format === 'shortcode') {
+        if (!aliases.length) {
+            return emoji;
+        }
+        const toneIndex = SKIN_TONES.findIndex(tone => tone.modifier && emoji.includes(tone.modifier));
+        const toneSuffix = toneIndex > 0 ? `:skin-tone-${toneIndex + 1}:` : '';
+        return `:${aliases[0]}:${toneSuffix}`;
+    }
+    if (format === 'codepoint') {
+        return codePoints.map(hex => `U+${hex.padStart(4, '0')}`).join(' ');
+    }
+    if (format === 'html') {
+        return codePoints.map(hex => `&#x${hex};`).join('');
+    }
+    if (format === 'escape') {
+        return codePoints.map(hex => `\\u{${hex}}`).join('');
+    }
+    return emoji;
+}
 
 export class ClipboardManager {
     #clipboard;
@@ -26,16 +60,31 @@ export class ClipboardManager {
         this.#clipboard = St.Clipboard.get_default();
     }
 
+    /**
+     * Get the output format set in prefs
+     *
+     * @returns {string} - Key of OUTPUT_FORMATS
+     */
+    getDefaultFormat() {
+        const format = this.#settings?.get_string('output-format');
+        return format in OUTPUT_FORMATS ? format : 'glyph';
+    }
+
     /**
      * Copy emoji to clipboard
      *
      * @param {string} emoji
+     * @param {string|null} format - Key of OUTPUT_FORMATS, null for the default format
+     * @param {Array<string>} aliases - Aliases of the emoji, for shortcodes
+     * @returns {string} The copied text
      */
-    copyToClipboard(emoji) {
+    copyToClipboard(emoji, format = null, aliases = []) {
+        const text = formatEmoji(emoji, format ?? this.getDefaultFormat(), aliases);
         if (this.#clipboard) {
-            this.#clipboard.set_text(St.ClipboardType.CLIPBOARD, emoji);
-            this.#clipboard.set_text(St.ClipboardType.PRIMARY, emoji);
+            this.#clipboard.set_text(St.ClipboardType.CLIPBOARD, text);
+            this.#clipboard.set_text(St.ClipboardType.PRIMARY, text);
         }
+        return text;
     }
 
     /**
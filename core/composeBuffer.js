@@ -0,0 +1,175 @@
+/**
+ * Compose Buffer
+ * Collects several emojis so they can be inserted in one go
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import Clutter from 'gi://Clutter';
+import St from 'gi://St';
+
+export class ComposeBuffer {
+    #settings;
+    #onCommitCallback;
+    #emojis; // {emoji, format} in the order they were picked
+    #strip;
+    #label;
+
+    /**
+     * @param {Gio.Settings} settings
+     * @param {Function} onCommitCallback - Called with the buffered emojis (Array<{emoji: string, format: string|null}>)
+     */
+    constructor(settings, onCommitCallback) {
+        this.#settings = settings;
+        this.#onCommitCallback = onCommitCallback;
+        this.#emojis = [];
+        this.#strip = null;
+        this.#label = null;
+    }
+
+    /**
+     * Check if compose mode is enabled
+     *
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.#settings.get_boolean('compose-mode');
+    }
+
+    /**
+     * Check if the buffer is empty
+     *
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.#emojis.length === 0;
+    }
+
+    /**
+     * Get the buffered text
+     *
+     * @returns {string}
+     */
+    getText() {
+        return this.#emojis.map(entry => entry.emoji).join('');
+    }
+
+    /**
+     * Append an emoji
+     * The output format picked for it (modifier click, context menu) is kept
+     * and applied when the buffer is inserted.
+     *
+     * @param {string} emoji
+     * @param {string|null} format - Key of OUTPUT_FORMATS, null for the default format
+     */
+    append(emoji, format = null) {
+        this.#emojis.push({ emoji, format });
+        this.#updateStrip();
+    }
+
+    /**
+     * Remove the last emoji (a whole sequence, not one code point)
+     *
+     * @returns {boolean} Whether anything was removed
+     */
+    removeLast() {
+        if (this.#emojis.length === 0) {
+            return false;
+        }
+
+        this.#emojis.pop();
+        this.#updateStrip();
+        return true;
+    }
+
+    /**
+     * Empty the buffer
+     */
+    clear() {
+        this.#emojis = [];
+        this.#updateStrip();
+    }
+
+    /**
+     * Hand the buffered emojis to the commit callback and empty the buffer
+     */
+    commit() {
+        if (this.#emojis.length === 0) {
+            return;
+        }
+
+        const emojis = this.#emojis;
+        this.clear();
+        if (this.#onCommitCallback) {
+            this.#onCommitCallback(emojis);
+        }
+    }
+
+    /**
+     * Build the buffer strip shown under the search entry
+     * The strip stays hidden while the buffer is empty.
+     *
+     * @returns {St.BoxLayout}
+     */
+    buildBufferStrip() {
+        this.#strip = new St.BoxLayout({
+            style_class: 'emoji-compose-strip',
+            x_expand: true,
+        });
+
+        this.#label = new St.Label({
+            style_class: 'emoji-compose-text',
+            x_expand: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this.#strip.add_child(this.#label);
+
+        const clearButton = new St.Button({
+            style_class: 'emoji-compose-button',
+            label: 'Clear',
+            can_focus: true,
+        });
+        clearButton.connect('clicked', () => this.clear());
+        this.#strip.add_child(clearButton);
+
+        const insertButton = new St.Button({
+            style_class: 'emoji-compose-button emoji-compose-insert',
+            label: 'Insert',
+            can_focus: true,
+        });
+        insertButton.connect('clicked', () => this.commit());
+        this.#strip.add_child(insertButton);
+
+        this.#strip.connect('destroy', () => {
+            this.#strip = null;
+            this.#label = null;
+        });
+
+        this.#updateStrip();
+        return this.#strip;
+    }
+
+    /**
+     * Show the buffered text, or hide the strip when empty
+     */
+    #updateStrip() {
+        if (!this.#strip) {
+            return;
+        }
+
+        this.#label.text = this.getText();
+        this.#strip.visible = this.#emojis.length > 0;
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.#strip?.destroy();
+        this.#emojis = [];
+        this.#settings = null;
+        this.#onCommitCallback = null;
+    }
+}
@@ -8,34 +8,76 @@
 
 export const MAX_VISIBLE_EMOJIS = 360;
 export const SEARCH_DEBOUNCE_MS = 120;
+
+// Search ranking tiers, best first (higher score sorts earlier)
+export const SEARCH_SCORES = {
+    exact: 500,
+    word: 400,
+    wordPrefix: 300,
+    tag: 200,
+    fuzzy: 100
+};
+
+// Shortest query that is matched with typo tolerance
+export const FUZZY_MIN_QUERY_LENGTH = 4;
 export const POPUP_WIDTH = 420;
 export const POPUP_HEIGHT = 600;
 export const EMOJIS_PER_ROW = 11;
 export const CATEGORY_SCROLL_THRESHOLD = 30;
 export const CATEGORY_SCROLL_DELAY = 50;
 
+// Emoji styles in prefs order; all but native are images in $XDG_DATA_HOME/gemoji/emoji-styles/<style>/
+export const EMOJI_STYLES = {
+    native: 'Native',
+    apple: 'Apple',
+    google: 'Google',
+    twitter: 'Twitter',
+    emojipedia: 'Emojipedia'
+};
+
+// Range of the emoji-size setting (glyph size in pixels) and the Ctrl+scroll / Ctrl+plus/minus zoom step
+export const EMOJI_SIZE_LIMITS = {
+    min: 16,
+    max: 64,
+    step: 4
+};
+
+// Space around a glyph inside its button, in pixels
+export const EMOJI_CELL_PADDING = 8;
+
+// Rows of the virtualized grid kept materialized above and below the viewport
+export const GRID_OVERSCAN_ROWS = 4;
+
+// Grid line heights used until the grid is styled and can be measured
+export const GRID_ROW_HEIGHT = 44;
+export const GRID_HEADER_HEIGHT = 32;
+
 // Popup size presets - restricted to specific dimensions
+// showPreview: whether the emoji detail pane fits under the grid
 export const POPUP_SIZE_MODES = {
     compact: {
         width: 360,
         height: 320,
-        emojisPerRow: 7,
+        showPreview: false,
         label: 'Compact'
     },
     default: {
         width: 480,
         height: 360,
-        emojisPerRow: 11,
+        showPreview: true,
         label: 'Default'
     },
     comfortable: {
         width: 600,
         height: 480,
-        emojisPerRow: 14,
+        showPreview: true,
         label: 'Comfortable'
     }
 };
 
+// Custom sizes show the detail pane from this height on
+export const PREVIEW_MIN_HEIGHT = 360;
+
 // Custom size ranges (only used when mode is 'custom')
 export const CUSTOM_SIZE_LIMITS = {
     minWidth: 300,
@@ -44,7 +86,76 @@ export const CUSTOM_SIZE_LIMITS = {
     maxHeight: 720
 };
 
+// Title of the top section for each suggestion-mode
+export const SUGGESTION_MODES = {
+    recent: 'Recently Used',
+    frequent: 'Frequently Used',
+    trending: 'Trending'
+};
+export const SUGGESTION_LIMIT = 30;
+
+// Most recent use timestamps kept per emoji
+export const USAGE_TIMESTAMP_LIMIT = 20;
+
+// Uses within this delay are written to the usage file together
+export const USAGE_SAVE_DELAY_MS = 2000;
+
+// A use counts half as much towards the trending score after this long
+export const TRENDING_HALF_LIFE_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Clipboard output formats, in prefs order
+export const OUTPUT_FORMATS = {
+    glyph: 'Emoji (🎉)',
+    shortcode: 'Shortcode (:tada:)',
+    codepoint: 'Code point (U+1F389)',
+    html: 'HTML entity (&#x1F389;)',
+    escape: 'Escape sequence (\\u{1F389})'
+};
+
+// Presentation of emojis the installed fonts cannot render, in prefs order
+export const UNSUPPORTED_EMOJI_MODES = {
+    show: 'Show normally',
+    grey: 'Grey out',
+    hide: 'Hide',
+    version: 'Hide newer than a Unicode version'
+};
+
+// Versions offered as the cap for the 'version' mode (unicode_version in emoji.json)
+export const EMOJI_VERSIONS = ['6.0', '7.0', '8.0', '9.0', '11.0', '12.0', '12.1', '13.0', '13.1', '14.0', '15.0'];
+
+// Opacity (0-255) of greyed out emojis
+export const UNSUPPORTED_EMOJI_OPACITY = 96;
+
+// Emojis measured per idle callback by the font coverage check
+export const FONT_COVERAGE_BATCH_SIZE = 200;
+
+// New font coverage results within this delay are written to the cache together
+export const FONT_COVERAGE_SAVE_DELAY_MS = 2000;
+
+// Where the popup opens (popup-placement), in prefs order
+export const PLACEMENT_MODES = {
+    center: 'Center of the monitor',
+    pointer: 'Under the pointer',
+    panel: 'Under the panel indicator',
+    window: 'Centered on the focused window',
+    last: 'Last dragged position'
+};
+
+// Monitor the popup opens on (popup-monitor), in prefs order
+export const MONITOR_MODES = {
+    focus: 'Monitor of the focused window',
+    pointer: 'Monitor with the pointer',
+    primary: 'Primary monitor'
+};
+
+// Prefix of custom entries in hidden-emojis, so they never match a dataset emoji
+export const HIDDEN_CUSTOM_PREFIX = 'custom:';
+
+// Reactions in the quick bar, each reachable with Alt+1…Alt+REACTIONS_MAX
+export const REACTIONS_MAX = 8;
+
 export const CATEGORIES = [
+    'Favorites',
     'Frequently Used',
     'Smileys & Emotion',
     'People & Body',
@@ -54,10 +165,12 @@ export const CATEGORIES = [
     'Activities',
     'Objects',
     'Symbols',
-    'Flags'
+    'Flags',
+    'Custom'
 ];
 
 export const CATEGORY_ICONS = {
+    'Favorites': 'emoji-favorites-symbolic',
     'Frequently Used': 'emoji-recent-symbolic',
     'Smileys & Emotion': 'emoji-smileys-symbolic',
     'People & Body': 'emoji-body-symbolic',
@@ -67,5 +180,22 @@ export const CATEGORY_ICONS = {
     'Activities': 'emoji-activities-symbolic',
     'Objects': 'emoji-objects-symbolic',
     'Symbols': 'emoji-symbols-symbolic',
-    'Flags': 'emoji-flags-symbolic'
+    'Flags': 'emoji-flags-symbolic',
+    'Custom': 'emoji-custom-symbolic'
 };
+
+// Fitzpatrick skin tone modifiers, in picker order ('none' keeps the base glyph)
+export const SKIN_TONES = [
+    { id: 'none', modifier: '', label: 'Default' },
+    { id: 'light', modifier: '\u{1F3FB}', label: 'Light' },
+    { id: 'medium-light', modifier: '\u{1F3FC}', label: 'Medium-Light' },
+    { id: 'medium', modifier: '\u{1F3FD}', label: 'Medium' },
+    { id: 'medium-dark', modifier: '\u{1F3FE}', label: 'Medium-Dark' },
+    { id: 'dark', modifier: '\u{1F3FF}', label: 'Dark' }
+];
+
+// Glyph shown on the skin tone selector buttons
+export const SKIN_TONE_SAMPLE = '✋';
+
+// Hold time before a press on an emoji opens its skin tone popover
+export const SKIN_TONE_LONG_PRESS_MS = 500;
@@ -0,0 +1,193 @@
+/**
+ * Emoji Context Menu
+ * Per-emoji actions: copy, copy as, pin, hide and details
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import GLib from 'gi://GLib';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { formatEmoji } from './clipboardManager.js';
+import { OUTPUT_FORMATS } from './constants.js';
+import { PreviewPane } from './previewPane.js';
+
+export class EmojiContextMenu {
+    #favoritesManager;
+    #onActionCallback;
+    #composeBuffer;
+    #menu;
+    #menuManager;
+
+    /**
+     * @param {FavoritesManager} favoritesManager
+     * @param {Function} onActionCallback - Called with (action, item, emoji, format) for
+     *   'copy' (format is a key of OUTPUT_FORMATS) and 'hide'
+     * @param {ComposeBuffer|null} composeBuffer - In compose mode, copy entries read Add
+     */
+    constructor(favoritesManager, onActionCallback, composeBuffer = null) {
+        this.#favoritesManager = favoritesManager;
+        this.#onActionCallback = onActionCallback;
+        this.#composeBuffer = composeBuffer;
+        this.#menu = null;
+        this.#menuManager = new PopupMenu.PopupMenuManager(Main.uiGroup);
+    }
+
+    /**
+     * Open the menu for an emoji
+     *
+     * @param {Clutter.Actor} sourceActor - Emoji button the menu points at
+     * @param {object} item - Dataset entry
+     * @param {string} emoji - Displayed text (may be a skin tone variant of item.emoji)
+     * @param {Function|null} openTonePopover - Adds a skin tone entry when given
+     */
+    open(sourceActor, item, emoji, openTonePopover = null) {
+        this.#open(sourceActor, 'emoji-context-menu', (menu) => {
+            // Compose mode adds to the buffer rather than copying
+            const verb = this.#composeBuffer?.isEnabled() ? 'Add' : 'Copy';
+            menu.addAction(verb, () => this.#emit('copy', item, emoji, 'glyph'));
+
+            // One entry per format, labelled with what would be copied
+            for (const format of Object.keys(OUTPUT_FORMATS)) {
+                if (format === 'glyph' || (format === 'shortcode' && !item.aliases?.length)) {
+                    continue;
+                }
+                const text = formatEmoji(emoji, format, item.aliases);
+                menu.addAction(`${verb} ${text}`, () => this.#emit('copy', item, emoji, format));
+            }
+
+            menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+            if (this.#favoritesManager) {
+                const pinned = this.#favoritesManager.isFavorite(emoji);
+                menu.addAction(pinned ? 'Remove from Favorites' : 'Add to Favorites', () => {
+                    this.#favoritesManager.toggle(emoji);
+                });
+            }
+
+            if (openTonePopover) {
+                // Wait for this menu to close, the popover grabs input too
+                menu.addAction('Skin Tone…', () => this.#afterClose(openTonePopover));
+            }
+
+            menu.addAction('Hide This Emoji', () => this.#emit('hide', item, emoji));
+            menu.addAction('Show Details', () => {
+                this.#afterClose(() => this.#openDetails(sourceActor, item, emoji));
+            });
+        });
+    }
+
+    /**
+     * Open a popover with the emoji's details
+     *
+     * @param {Clutter.Actor} sourceActor
+     * @param {object} item
+     * @param {string} emoji
+     */
+    #openDetails(sourceActor, item, emoji) {
+        if (!sourceActor.get_stage()) {
+            return;
+        }
+
+        this.#open(sourceActor, 'emoji-details-popover', (menu) => {
+            const pane = new PreviewPane();
+            const menuItem = new PopupMenu.PopupBaseMenuItem({
+                reactive: false,
+                can_focus: false,
+            });
+            menuItem.add_child(pane.build());
+            pane.show(item, emoji);
+            menu.addMenuItem(menuItem);
+        });
+    }
+
+    /**
+     * Create, fill and open a menu anchored to an actor
+     * Only one menu is open at a time.
+     *
+     * @param {Clutter.Actor} sourceActor
+     * @param {string} styleClass
+     * @param {Function} fill - Called with the menu to add its items
+     */
+    #open(sourceActor, styleClass, fill) {
+        this.close();
+
+        const menu = new PopupMenu.PopupMenu(sourceActor, 0.5, St.Side.TOP);
+        menu.actor.add_style_class_name(styleClass);
+        Main.uiGroup.add_child(menu.actor);
+
+        this.#menuManager.addMenu(menu);
+
+        fill(menu);
+
+        // Closed by an item or from outside: destroy once the close has finished
+        menu.connect('open-state-changed', (_menu, open) => {
+            if (open) {
+                return;
+            }
+            GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                if (this.#menu === menu) {
+                    this.close();
+                }
+                return GLib.SOURCE_REMOVE;
+            });
+        });
+
+        this.#menu = menu;
+        menu.open();
+    }
+
+    /**
+     * Run a callback once the current menu has been closed
+     *
+     * @param {Function} callback
+     */
+    #afterClose(callback) {
+        GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            callback();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Forward an action to the extension
+     *
+     * @param {string} action
+     * @param {object} item
+     * @param {string} emoji
+     * @param {string|null} format
+     */
+    #emit(action, item, emoji, format = null) {
+        if (this.#onActionCallback) {
+            this.#onActionCallback(action, item, emoji, format);
+        }
+    }
+
+    /**
+     * Close the menu if open
+     */
+    close() {
+        const menu = this.#menu;
+        if (!menu) {
+            return;
+        }
+
+        this.#menu = null;
+        this.#menuManager.removeMenu(menu);
+        menu.destroy();
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.close();
+        this.#menuManager = null;
+        this.#favoritesManager = null;
+        this.#onActionCallback = null;
+        this.#composeBuffer = null;
+    }
+}
@@ -6,38 +6,127 @@
  * @license    GPL-3.0-only
  */
 
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import { HIDDEN_CUSTOM_PREFIX } from './constants.js';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+
+// Marks (\p{M}) are word characters so scripts like Devanagari aren't split inside words
+const SEARCH_WORD_SEPARATOR = /[^\p{L}\p{M}\p{N}]+/u;
+const VARIATION_SELECTOR_16 = /\uFE0F/g;
+const XML_ANNOTATION = /<annotation\s+cp="([^"]+)"(\s+type="tts")?\s*>([^<]*)<\/annotation>/g;
+
+// User annotation files live in $XDG_DATA_HOME/gemoji/, next to emoji-styles/
+const USER_DATA_DIR = 'gemoji';
+
+// Search indexes, keyed by the dataset array they were built from
+const searchIndexes = new WeakMap();
+
 /**
  * Load emoji dataset from file or use fallback
+ * CLDR annotations for the locale are merged in when available (see
+ * loadAnnotationsAsync) and custom entries are appended. Hidden emojis are
+ * left in, see filterHiddenEmojis. The search index for the dataset is built
+ * here as well, so the returned array must not be modified afterwards.
+ *
+ * Files are read with Gio async APIs. Rejects only when cancelled; read or
+ * parse errors fall back to the built-in list.
  *
  * @param {Gio.File} directory - Extension directory
- * @returns {Array<object>}
+ * @param {string} locale - Locale for emoji names, empty to follow the system
+ * @param {Array<object>} customEmojis - Entries from parseCustomEmojis
+ * @param {Gio.Cancellable|null} cancellable
+ * @returns {Promise<Array<object>>}
  */
-export function loadEmojiData(directory) {
-    const file = directory.get_child('data').get_child('emoji.json');
-    if (file && file.query_exists(null)) {
-        try {
-            return loadEmojiJson(file);
-        } catch (error) {
-            logError(error, 'emoji-picker: failed to parse emoji.json');
+export async function loadEmojiDataAsync(directory, locale = '', customEmojis = [], cancellable = null) {
+    let emojiData = null;
+
+    try {
+        const bytes = await readFileAsync(getEmojiJsonFile(directory), cancellable);
+        if (bytes) {
+            emojiData = parseEmojiJson(bytes);
         }
+    } catch (error) {
+        if (isCancelled(error)) {
+            throw error;
+        }
+        logError(error, 'emoji-picker: failed to parse emoji.json');
     }
 
-    log('emoji-picker: using built-in fallback emoji list');
-    return getFallbackEmojiData();
+    const annotations = await loadAnnotationsAsync(directory, locale, cancellable);
+    return finishEmojiData(emojiData, annotations, customEmojis);
+}
+
+/**
+ * Get the bundled dataset file
+ *
+ * @param {Gio.File} directory - Extension directory
+ * @returns {Gio.File}
+ */
+function getEmojiJsonFile(directory) {
+    return directory.get_child('data').get_child('emoji.json');
 }
 
 /**
- * Parse emoji.json file
+ * Read a whole file without blocking
  *
  * @param {Gio.File} file
+ * @param {Gio.Cancellable|null} cancellable
+ * @returns {Promise<Uint8Array|null>} null if the file doesn't exist
+ */
+async function readFileAsync(file, cancellable) {
+    try {
+        const [bytes] = await file.load_contents_async(cancellable);
+        return bytes;
+    } catch (error) {
+        if (error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Check whether an error comes from a cancelled Gio operation
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isCancelled(error) {
+    return error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED);
+}
+
+/**
+ * Complete a freshly read dataset
+ * Falls back to the built-in list, merges annotations and custom entries
+ * and builds the search index.
+ *
+ * @param {Array<object>|null} emojiData - Parsed emoji.json, null if unavailable
+ * @param {Map<string, {name?: string, keywords?: Array<string>}>} annotations
+ * @param {Array<object>} customEmojis
  * @returns {Array<object>}
  */
-function loadEmojiJson(file) {
-    const [success, bytes] = file.load_contents(null);
-    if (!success) {
-        return getFallbackEmojiData();
+function finishEmojiData(emojiData, annotations, customEmojis) {
+    if (!emojiData) {
+        log('emoji-picker: using built-in fallback emoji list');
+        emojiData = getFallbackEmojiData();
     }
 
+    mergeAnnotations(emojiData, annotations);
+    mergeCustomEmojis(emojiData, customEmojis);
+
+    getSearchIndex(emojiData);
+    return emojiData;
+}
+
+/**
+ * Parse the contents of emoji.json
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Array<object>}
+ */
+function parseEmojiJson(bytes) {
     const decoder = new TextDecoder('utf-8');
     const text = decoder.decode(bytes);
     const data = JSON.parse(text);
@@ -68,9 +157,329 @@ function loadEmojiJson(file) {
             category: entry.category ?? 'Other',
             aliases: entry.aliases ?? [],
             tags: entry.tags ?? [],
+            skin_tones: entry.skin_tones === true,
+            unicode_version: entry.unicode_version ?? '',
         }));
 }
 
+/**
+ * Get the locales to try for annotations, most specific first
+ *
+ * @param {string} locale - Chosen locale, empty to follow the system
+ * @returns {Array<string>}
+ */
+function getLocaleCandidates(locale) {
+    const names = locale ? [locale] : GLib.get_language_names();
+    const candidates = [];
+
+    for (const name of names) {
+        // de_DE.UTF-8@euro -> de_DE
+        const base = name.replace(/[.@].*$/, '');
+        if (!base || base === 'C' || base === 'POSIX') {
+            continue;
+        }
+
+        // CLDR uses de_CH (XML) and de-CH (JSON); fall back to the language
+        for (const candidate of [base.replace('-', '_'), base.split(/[_-]/)[0]]) {
+            if (!candidates.includes(candidate)) {
+                candidates.push(candidate);
+            }
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Parse a CLDR annotations file (XML or cldr-json)
+ *
+ * @param {Gio.File} file - File the contents were read from, for its extension
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Map<string, {name?: string, keywords?: Array<string>}>}
+ */
+function parseAnnotationFile(file, bytes) {
+    const annotations = new Map();
+    const text = new TextDecoder('utf-8').decode(bytes);
+    const entryFor = cp => {
+        const key = cp.replace(VARIATION_SELECTOR_16, '');
+        if (!annotations.has(key)) {
+            annotations.set(key, {});
+        }
+        return annotations.get(key);
+    };
+
+    if (file.get_path().endsWith('.json')) {
+        const data = JSON.parse(text);
+        const entries = data.annotations?.annotations ?? data.annotationsDerived?.annotations ?? {};
+        for (const [cp, value] of Object.entries(entries)) {
+            const entry = entryFor(cp);
+            if (value.tts?.length) {
+                entry.name = value.tts[0];
+            }
+            if (value.default?.length) {
+                entry.keywords = value.default;
+            }
+        }
+        return annotations;
+    }
+
+    for (const [, cp, tts, value] of text.matchAll(XML_ANNOTATION)) {
+        const entry = entryFor(decodeXmlEntities(cp));
+        const content = decodeXmlEntities(value).trim();
+        if (tts) {
+            entry.name = content;
+        } else {
+            entry.keywords = content.split('|').map(keyword => keyword.trim()).filter(Boolean);
+        }
+    }
+    return annotations;
+}
+
+/**
+ * Decode the XML entities used in CLDR files
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return named[entity] ?? match;
+    });
+}
+
+/**
+ * Get the directories holding annotations/ and annotationsDerived/
+ * The extension's data/ comes first so files in $XDG_DATA_HOME/gemoji/,
+ * which survive extension updates, override or add to the bundled ones.
+ *
+ * @param {Gio.File} directory - Extension directory
+ * @returns {Array<Gio.File>}
+ */
+export function getAnnotationDirectories(directory) {
+    return [
+        directory.get_child('data'),
+        Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), USER_DATA_DIR])),
+    ];
+}
+
+/**
+ * Get the annotation files to try, grouped by locale, most specific first
+ * Files are looked up as annotations/<locale>.{xml,json} and
+ * annotationsDerived/<locale>.{xml,json} in each annotation directory,
+ * matching the CLDR layout (common/annotations) or cldr-json packages.
+ * English needs none.
+ *
+ * @param {Gio.File} directory - Extension directory
+ * @param {string} locale - Chosen locale, empty to follow the system
+ * @returns {Array<{locale: string, files: Array<Gio.File>}>}
+ */
+function getAnnotationCandidates(directory, locale) {
+    const dataDirs = getAnnotationDirectories(directory);
+    const groups = [];
+
+    for (const candidate of getLocaleCandidates(locale)) {
+        if (candidate === 'en') {
+            break;
+        }
+
+        const files = [];
+        for (const dataDir of dataDirs) {
+            for (const folder of ['annotations', 'annotationsDerived']) {
+                for (const fileName of [`${candidate}.xml`, `${candidate}.json`]) {
+                    files.push(dataDir.get_child(folder).get_child(fileName));
+                }
+            }
+        }
+        groups.push({ locale: candidate, files });
+    }
+    return groups;
+}
+
+/**
+ * Add the annotations parsed from one file to those of a locale
+ *
+ * @param {Map<string, object>} annotations
+ * @param {Gio.File} file
+ * @param {Uint8Array} bytes
+ */
+function addAnnotationFile(annotations, file, bytes) {
+    try {
+        for (const [key, value] of parseAnnotationFile(file, bytes)) {
+            annotations.set(key, { ...annotations.get(key), ...value });
+        }
+    } catch (error) {
+        const name = `${file.get_parent().get_basename()}/${file.get_basename()}`;
+        logError(error, `emoji-picker: failed to parse ${name}`);
+    }
+}
+
+/**
+ * Load CLDR annotations for a locale, bundled or from $XDG_DATA_HOME/gemoji/
+ * The first locale candidate with any annotation files wins.
+ *
+ * @param {Gio.File} directory - Extension directory
+ * @param {string} locale - Chosen locale, empty to follow the system
+ * @param {Gio.Cancellable|null} cancellable
+ * @returns {Promise<Map<string, {name?: string, keywords?: Array<string>}>>}
+ */
+async function loadAnnotationsAsync(directory, locale, cancellable) {
+    for (const { locale: candidate, files } of getAnnotationCandidates(directory, locale)) {
+        const annotations = new Map();
+        for (const file of files) {
+            let bytes = null;
+            try {
+                bytes = await readFileAsync(file, cancellable);
+            } catch (error) {
+                if (isCancelled(error)) {
+                    throw error;
+                }
+                logError(error, `emoji-picker: failed to read ${file.get_basename()}`);
+            }
+
+            if (bytes) {
+                addAnnotationFile(annotations, file, bytes);
+            }
+        }
+
+        if (annotations.size > 0) {
+            log(`emoji-picker: loaded ${annotations.size} annotations for locale ${candidate}`);
+            return annotations;
+        }
+    }
+
+    return new Map();
+}
+
+/**
+ * Add localized names and keywords to emoji entries
+ *
+ * @param {Array<object>} emojiData
+ * @param {Map<string, {name?: string, keywords?: Array<string>}>} annotations
+ */
+function mergeAnnotations(emojiData, annotations) {
+    if (annotations.size === 0) {
+        return;
+    }
+
+    for (const entry of emojiData) {
+        const annotation = annotations.get(entry.emoji.replace(VARIATION_SELECTOR_16, ''));
+        if (!annotation) {
+            continue;
+        }
+
+        if (annotation.name) {
+            entry.localized_name = annotation.name;
+        }
+        if (annotation.keywords) {
+            entry.localized_keywords = annotation.keywords;
+        }
+    }
+}
+
+/**
+ * Parse the custom-emojis setting
+ * Invalid entries are dropped; missing fields get the same defaults as emoji.json.
+ *
+ * @param {string} json - JSON array of {emoji, description, aliases, tags, category}
+ * @returns {Array<object>}
+ */
+export function parseCustomEmojis(json) {
+    let data;
+    try {
+        data = JSON.parse(json || '[]');
+    } catch (error) {
+        log('emoji-picker: failed to parse custom emojis');
+        return [];
+    }
+
+    if (!Array.isArray(data)) {
+        return [];
+    }
+
+    const toList = value => (Array.isArray(value) ? value : [])
+        .filter(word => typeof word === 'string' && word.trim())
+        .map(word => word.trim());
+
+    return data
+        .filter(entry => typeof entry?.emoji === 'string' && entry.emoji.trim())
+        .map(entry => ({
+            emoji: entry.emoji.trim(),
+            description: typeof entry.description === 'string' ? entry.description.trim() : '',
+            category: typeof entry.category === 'string' && entry.category ? entry.category : 'Custom',
+            aliases: toList(entry.aliases),
+            tags: toList(entry.tags),
+            skin_tones: false,
+            unicode_version: '',
+            custom: true,
+        }));
+}
+
+/**
+ * Get the hidden-emojis value that hides an entry
+ * Custom entries are prefixed, so hiding one never hides an emoji of the
+ * same text.
+ *
+ * @param {{emoji: string, custom?: boolean}} entry
+ * @returns {string}
+ */
+export function getHiddenKey(entry) {
+    return entry.custom ? `${HIDDEN_CUSTOM_PREFIX}${entry.emoji}` : entry.emoji;
+}
+
+/**
+ * Drop the entries listed in the hidden-emojis setting
+ * Works on a loaded dataset, so hiding an emoji needs no reload.
+ *
+ * @param {Array<object>} emojiData
+ * @param {Array<string>} hiddenEmojis - getHiddenKey values
+ * @returns {Array<object>} The dataset, or a filtered copy with its own search index
+ */
+export function filterHiddenEmojis(emojiData, hiddenEmojis) {
+    if (hiddenEmojis.length === 0) {
+        return emojiData;
+    }
+
+    const hidden = new Set(hiddenEmojis);
+    const visible = emojiData.filter(entry => !hidden.has(getHiddenKey(entry)));
+    getSearchIndex(visible);
+    return visible;
+}
+
+/**
+ * Append custom entries to the dataset
+ * Text that is already in the dataset is skipped, so every glyph stays unique.
+ *
+ * @param {Array<object>} emojiData
+ * @param {Array<object>} customEmojis
+ */
+function mergeCustomEmojis(emojiData, customEmojis) {
+    const known = new Set(emojiData.map(entry => entry.emoji));
+    for (const entry of customEmojis) {
+        if (known.has(entry.emoji)) {
+            log(`emoji-picker: custom emoji ${entry.emoji} is already in the dataset, skipping`);
+            continue;
+        }
+        known.add(entry.emoji);
+        emojiData.push(entry);
+    }
+}
+
+/**
+ * Get the name to show for an emoji (localized when available)
+ *
+ * @param {{emoji: string, description?: string, localized_name?: string}} item
+ * @returns {string}
+ */
+export function getDisplayName(item) {
+    return item.localized_name || item.description || item.emoji;
+}
+
 /**
  * Provide minimal fallback dataset
  *
@@ -84,6 +493,7 @@ function getFallbackEmojiData() {
             category: 'Smileys & Emotion',
             aliases: ['grinning'],
             tags: ['smile', 'happy'],
+            unicode_version: '6.1',
         },
         {
             emoji: '😂',
@@ -91,6 +501,7 @@ function getFallbackEmojiData() {
             category: 'Smileys & Emotion',
             aliases: ['joy'],
             tags: ['funny', 'haha'],
+            unicode_version: '6.0',
         },
         {
             emoji: '❤️',
@@ -98,6 +509,7 @@ function getFallbackEmojiData() {
             category: 'Symbols',
             aliases: ['heart'],
             tags: ['love'],
+            unicode_version: '1.1',
         },
         {
             emoji: '👍',
@@ -105,6 +517,8 @@ function getFallbackEmojiData() {
             category: 'People & Body',
             aliases: ['+1'],
             tags: ['approve', 'affirmative'],
+            unicode_version: '6.0',
+            skin_tones: true,
         },
         {
             emoji: '🔥',
@@ -112,19 +526,23 @@ function getFallbackEmojiData() {
             category: 'Travel & Places',
             aliases: ['fire'],
             tags: ['lit'],
+            unicode_version: '6.0',
         },
     ];
 }
 
 /**
  * Collect unique categories from emoji data
+ * Favorites is only listed while something is pinned, like its section.
  *
  * @param {Array<object>} emojiData
+ * @param {boolean} hasFavorites - Whether the Favorites section has entries
  * @returns {Array<string>}
  */
-export function collectCategories(emojiData) {
+export function collectCategories(emojiData, hasFavorites = true) {
     // Predefined order for categories
     const orderedCategories = [
+        'Favorites',
         'Frequently Used',
         'Smileys & Emotion',
         'People & Body',
@@ -134,7 +552,8 @@ export function collectCategories(emojiData) {
         'Activities',
         'Objects',
         'Symbols',
-        'Flags'
+        'Flags',
+        'Custom'
     ];
     
     // Collect actual categories from data
@@ -147,6 +566,260 @@ export function collectCategories(emojiData) {
     
     // Return only categories that exist in data, in predefined order
     return orderedCategories.filter(cat => 
-        cat === 'Frequently Used' || categoriesInData.has(cat)
+        (cat === 'Favorites' && hasFavorites) || cat === 'Frequently Used' || categoriesInData.has(cat)
     );
 }
+
+/**
+ * Split text into lowercase search words
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function splitSearchWords(text) {
+    return text.toLowerCase().split(SEARCH_WORD_SEPARATOR).filter(Boolean);
+}
+
+/**
+ * Parse a "12.0" style version into numbers
+ *
+ * @param {string} version
+ * @returns {Array<number>|null}
+ */
+export function parseVersion(version) {
+    if (!version) {
+        return null;
+    }
+    return version.split('.').map(part => parseInt(part, 10) || 0);
+}
+
+/**
+ * Compare two parsed versions
+ *
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+export function compareVersions(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (a[i] ?? 0) - (b[i] ?? 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Get the search index for a dataset, building it on first use
+ *
+ * @param {Array<object>} emojiData
+ * @returns {EmojiSearchIndex}
+ */
+export function getSearchIndex(emojiData) {
+    let index = searchIndexes.get(emojiData);
+    if (!index) {
+        index = new EmojiSearchIndex(emojiData);
+        searchIndexes.set(emojiData, index);
+    }
+    return index;
+}
+
+/**
+ * In-memory search index over an emoji dataset
+ * Holds normalized fields per entry, a token map from every word of the
+ * descriptions, aliases and tags to the entries using it, and a sorted
+ * token list for prefix lookups.
+ */
+export class EmojiSearchIndex {
+    #entries;
+    #fields;
+    #tokenMap;
+    #sortedTokens;
+    #emojiMap;
+    #categories;
+    #newestVersion;
+
+    /**
+     * @param {Array<object>} emojiData
+     */
+    constructor(emojiData) {
+        this.#entries = emojiData;
+        this.#fields = [];
+        this.#tokenMap = new Map();
+        this.#emojiMap = new Map();
+        this.#categories = new Set();
+        this.#newestVersion = null;
+
+        emojiData.forEach((item, index) => {
+            const fields = {
+                emoji: item.emoji,
+                description: (item.description || '').toLowerCase(),
+                aliases: (item.aliases || []).map(alias => alias.toLowerCase()),
+                tags: (item.tags || []).map(tag => tag.toLowerCase()),
+                category: (item.category || '').toLowerCase(),
+                version: parseVersion(item.unicode_version),
+            };
+
+            // Localized names rank like English names, localized keywords like tags
+            fields.names = [fields.description, ...fields.aliases];
+            if (item.localized_name) {
+                fields.names.push(item.localized_name.toLowerCase());
+            }
+            for (const keyword of item.localized_keywords || []) {
+                fields.tags.push(keyword.toLowerCase());
+            }
+
+            // Name words first, so fields.words.slice(0, nameWordCount) are the name words
+            const words = new Set();
+            for (const text of fields.names) {
+                for (const word of splitSearchWords(text)) {
+                    words.add(word);
+                }
+            }
+            fields.nameWordCount = words.size;
+            for (const text of fields.tags) {
+                for (const word of splitSearchWords(text)) {
+                    words.add(word);
+                }
+            }
+            fields.words = [...words];
+
+            for (const word of words) {
+                if (!this.#tokenMap.has(word)) {
+                    this.#tokenMap.set(word, []);
+                }
+                this.#tokenMap.get(word).push(index);
+            }
+
+            this.#fields.push(fields);
+            this.#emojiMap.set(item.emoji, index);
+            this.#categories.add(fields.category);
+
+            if (fields.version && (!this.#newestVersion || compareVersions(fields.version, this.#newestVersion) > 0)) {
+                this.#newestVersion = fields.version;
+            }
+        });
+
+        this.#sortedTokens = [...this.#tokenMap.keys()].sort();
+    }
+
+    /**
+     * Number of indexed entries
+     *
+     * @returns {number}
+     */
+    get size() {
+        return this.#entries.length;
+    }
+
+    /**
+     * Get the original entry at an index
+     *
+     * @param {number} index
+     * @returns {object}
+     */
+    getEntry(index) {
+        return this.#entries[index];
+    }
+
+    /**
+     * Get the normalized fields of an entry
+     *
+     * @param {number} index
+     * @returns {{emoji: string, description: string, aliases: Array<string>, names: Array<string>, tags: Array<string>, category: string, version: Array<number>|null, words: Array<string>, nameWordCount: number}}
+     */
+    getFields(index) {
+        return this.#fields[index];
+    }
+
+    /**
+     * Get all distinct tokens, sorted
+     *
+     * @returns {Array<string>}
+     */
+    getTokens() {
+        return this.#sortedTokens;
+    }
+
+    /**
+     * Get the entries using a token
+     *
+     * @param {string} token
+     * @returns {Array<number>}
+     */
+    getTokenEntries(token) {
+        return this.#tokenMap.get(token) || [];
+    }
+
+    /**
+     * Get the range of sorted tokens starting with prefix
+     *
+     * @param {string} prefix - Lowercase prefix
+     * @returns {Array<number>} - [start, end) into getTokens()
+     */
+    getTokenRange(prefix) {
+        // Binary search for the first token >= prefix
+        let low = 0;
+        let high = this.#sortedTokens.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.#sortedTokens[mid] < prefix) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        let end = low;
+        while (end < this.#sortedTokens.length && this.#sortedTokens[end].startsWith(prefix)) {
+            end++;
+        }
+        return [low, end];
+    }
+
+    /**
+     * Find entries with a word starting with prefix
+     *
+     * @param {string} prefix - Lowercase prefix
+     * @returns {Set<number>}
+     */
+    findPrefix(prefix) {
+        const result = new Set();
+        const [start, end] = this.getTokenRange(prefix);
+        for (let i = start; i < end; i++) {
+            for (const index of this.#tokenMap.get(this.#sortedTokens[i])) {
+                result.add(index);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Find the entry for an emoji glyph
+     *
+     * @param {string} emoji
+     * @returns {number} - Index, or -1 if not found
+     */
+    findEmoji(emoji) {
+        return this.#emojiMap.get(emoji) ?? -1;
+    }
+
+    /**
+     * Get all distinct categories (lowercase)
+     *
+     * @returns {Set<string>}
+     */
+    getCategories() {
+        return this.#categories;
+    }
+
+    /**
+     * Newest unicode version in the dataset
+     *
+     * @returns {Array<number>|null}
+     */
+    getNewestVersion() {
+        return this.#newestVersion;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Emoji Image Set
+ * Resolves emojis to image files of an image-backed emoji style, e.g. an
+ * unpacked Twemoji (1f468-200d-1f469.svg) or Noto (emoji_u1f468_200d_1f469.png)
+ * set in $XDG_DATA_HOME/gemoji/emoji-styles/<style>/
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.File.prototype, 'query_info_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+
+const STYLES_DIR = ['gemoji', 'emoji-styles'];
+const FILE_ATTRIBUTES = 'standard::name,standard::type,id::file';
+
+// Code point sequence file names, with an optional Noto prefix
+const IMAGE_FILE = /^(?:emoji_u)?([0-9a-f]+(?:[-_][0-9a-f]+)*)\.(svg|png)$/i;
+
+// Sets differ on keeping U+FE0F in file names, so keys never include it
+const VARIATION_SELECTOR_16 = 'fe0f';
+
+/**
+ * Get the lookup key of an emoji: its code points without U+FE0F, e.g. '1f468-200d-1f469'
+ *
+ * @param {string} emoji
+ * @returns {string}
+ */
+export function getImageKey(emoji) {
+    return [...emoji]
+        .map(char => char.codePointAt(0).toString(16))
+        .filter(hex => hex !== VARIATION_SELECTOR_16)
+        .join('-');
+}
+
+/**
+ * Get the directory holding the images of a style
+ *
+ * @param {string} style - emoji-style value, e.g. twitter
+ * @returns {string}
+ */
+export function getStyleDirectory(style) {
+    return GLib.build_filenamev([GLib.get_user_data_dir(), ...STYLES_DIR, style]);
+}
+
+export class EmojiImageSet {
+    #files; // Image key -> Gio.File
+    #icons; // Emoji -> Gio.FileIcon, or null when the style has no image for it
+
+    constructor() {
+        this.#files = new Map();
+        this.#icons = new Map();
+    }
+
+    /**
+     * Index the images of a style
+     * 'native', or a style without a directory, leaves the set empty so every
+     * emoji falls back to the font glyph.
+     *
+     * @param {string} style - emoji-style value
+     * @param {Gio.Cancellable|null} cancellable
+     * @returns {Promise<number>} Number of images found
+     */
+    async load(style, cancellable = null) {
+        const files = new Map();
+        if (style && style !== 'native') {
+            const directory = Gio.File.new_for_path(getStyleDirectory(style));
+            const visited = new Set();
+            try {
+                const info = await directory.query_info_async('id::file', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_LOW, cancellable);
+                visited.add(info.get_attribute_string('id::file'));
+            } catch (error) {
+                if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    throw error;
+                }
+            }
+            await this.#collectImages(directory, files, visited, cancellable);
+        }
+
+        this.#files = files;
+        this.#icons.clear();
+        return files.size;
+    }
+
+    /**
+     * Whether the set has any images
+     *
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.#files.size === 0;
+    }
+
+    /**
+     * Get the image of an emoji
+     * St's texture cache keys textures on the icon, so handing out one
+     * Gio.FileIcon per file shares the texture between buttons and rebuilds.
+     *
+     * @param {string} emoji - Emoji text, including any skin tone
+     * @returns {Gio.FileIcon|null} null to fall back to the glyph
+     */
+    lookup(emoji) {
+        if (this.#files.size === 0) {
+            return null;
+        }
+
+        let icon = this.#icons.get(emoji);
+        if (icon === undefined) {
+            const file = this.#files.get(getImageKey(emoji));
+            icon = file ? new Gio.FileIcon({ file }) : null;
+            this.#icons.set(emoji, icon);
+        }
+        return icon;
+    }
+
+    /**
+     * Collect image files under a directory, SVG winning over PNG
+     * Symlinked directories are followed, e.g. to a system-wide set, but each
+     * directory only once, so a symlink loop ends.
+     *
+     * @param {Gio.File} directory
+     * @param {Map<string, Gio.File>} files - Filled in
+     * @param {Set<string>} visited - id::file of the directories entered, filled in
+     * @param {Gio.Cancellable|null} cancellable
+     */
+    async #collectImages(directory, files, visited, cancellable) {
+        let enumerator;
+        try {
+            enumerator = await directory.enumerate_children_async(
+                FILE_ATTRIBUTES,
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_LOW,
+                cancellable
+            );
+        } catch (error) {
+            if (error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                return;
+            }
+            throw error;
+        }
+
+        try {
+            for (;;) {
+                const infos = await enumerator.next_files_async(100, GLib.PRIORITY_LOW, cancellable);
+                if (infos.length === 0) {
+                    break;
+                }
+
+                for (const info of infos) {
+                    const name = info.get_name();
+                    const child = directory.get_child(name);
+                    if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+                        const id = info.get_attribute_string('id::file');
+                        if (!visited.has(id)) {
+                            visited.add(id);
+                            await this.#collectImages(child, files, visited, cancellable);
+                        }
+                        continue;
+                    }
+
+                    const match = IMAGE_FILE.exec(name);
+                    if (!match) {
+                        continue;
+                    }
+
+                    const key = match[1]
+                        .toLowerCase()
+                        .split(/[-_]/)
+                        .map(hex => hex.replace(/^0+(?=.)/, ''))
+                        .filter(hex => hex !== VARIATION_SELECTOR_16)
+                        .join('-');
+                    const isSvg = match[2].toLowerCase() === 'svg';
+                    if (isSvg || !files.has(key)) {
+                        files.set(key, child);
+                    }
+                }
+            }
+        } finally {
+            enumerator.close(null);
+        }
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.#files.clear();
+        this.#icons.clear();
+    }
+}
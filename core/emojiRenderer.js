@@ -2,116 +2,1005 @@
  * Emoji Renderer
  * Handles emoji grid rendering
  *
+ * The grid is virtualized: rendering only builds a list of lines (category
+ * headers and emoji rows) with offsets computed from the line heights, and
+ * actors exist just for the lines in view plus a margin. Line actors and
+ * their buttons are recycled while scrolling.
+ *
  * @author     Ashu <ashu@example.local>
  * @copyright  2025
  * @license    GPL-3.0-only
  */
 
+import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
+import Pango from 'gi://Pango';
 import St from 'gi://St';
-import { EMOJIS_PER_ROW } from './constants.js';
+import { EMOJI_CELL_PADDING, EMOJIS_PER_ROW, GRID_HEADER_HEIGHT, GRID_OVERSCAN_ROWS, GRID_ROW_HEIGHT, POPUP_HEIGHT, SKIN_TONE_LONG_PRESS_MS, SUGGESTION_MODES, UNSUPPORTED_EMOJI_OPACITY } from './constants.js';
+import { getDisplayName } from './emojiData.js';
+
+// Glyph size until setEmojiSize() is called, as in stylesheet.css
+const DEFAULT_EMOJI_SIZE = 32;
 
 export class EmojiRenderer {
     #emojiGrid;
     #onEmojiSelectedCallback;
     #emojisPerRow;
+    #emojiSize;
+    #cellSize;
+    #skinToneManager;
+    #favoritesManager;
+    #onLeaveTopCallback;
+    #onHighlightCallback;
+    #contextMenu;
+    #imageSet;
+    #canvas; // Fixed layout child of the grid, as tall as all lines together
+    #adjustment;
+    #lines; // {type: header|row, y, height, ...} in grid order
+    #rows; // Index into #lines of each emoji row, for keyboard navigation
+    #lineHeights;
+    #gridPadding;
+    #measured;
+    #materialized; // Line index -> actor currently showing that line
+    #pools; // Spare actors per line type
+    #bindings; // Button -> {item, emoji, rowIndex, column}
+    #customWidths; // Custom entry text -> measured button width
+    #focusedLine;
+    #registerSectionCallback;
 
     /**
      * @param {St.BoxLayout} emojiGrid
-     * @param {Function} onEmojiSelectedCallback - Called when emoji is selected
+     * @param {Function} onEmojiSelectedCallback - Called with (item, emoji, format) when emoji is selected
      * @param {number} emojisPerRow - Number of emojis per row (default 10)
+     * @param {SkinToneManager|null} skinToneManager - Resolves the tone variant to show
+     * @param {FavoritesManager|null} favoritesManager - Pins emojis with Ctrl+D
      */
-    constructor(emojiGrid, onEmojiSelectedCallback, emojisPerRow = EMOJIS_PER_ROW) {
+    constructor(emojiGrid, onEmojiSelectedCallback, emojisPerRow = EMOJIS_PER_ROW, skinToneManager = null, favoritesManager = null) {
         this.#emojiGrid = emojiGrid;
         this.#onEmojiSelectedCallback = onEmojiSelectedCallback;
         this.#emojisPerRow = emojisPerRow;
+        this.#emojiSize = DEFAULT_EMOJI_SIZE;
+        this.#cellSize = DEFAULT_EMOJI_SIZE + EMOJI_CELL_PADDING;
+        this.#skinToneManager = skinToneManager;
+        this.#favoritesManager = favoritesManager;
+        this.#onLeaveTopCallback = null;
+        this.#onHighlightCallback = null;
+        this.#contextMenu = null;
+        this.#imageSet = null;
+        this.#canvas = null;
+        this.#adjustment = null;
+        this.#lines = [];
+        this.#rows = [];
+        this.#lineHeights = { header: GRID_HEADER_HEIGHT, row: GRID_ROW_HEIGHT };
+        this.#gridPadding = 0;
+        this.#measured = false;
+        this.#materialized = new Map();
+        this.#pools = { header: [], row: [] };
+        this.#bindings = new Map();
+        this.#customWidths = new Map();
+        this.#focusedLine = -1;
+        this.#registerSectionCallback = null;
     }
 
     /**
-     * Clear all emoji content
+     * Set the menu opened by secondary click or the Menu key on an emoji
+     *
+     * @param {EmojiContextMenu|null} contextMenu
      */
-    clear() {
-        if (!this.#emojiGrid) {
+    setContextMenu(contextMenu) {
+        this.#contextMenu = contextMenu;
+    }
+
+    /**
+     * Set the emoji glyph and button size, and the emojis per row they allow
+     * Rows are rebuilt at the new size by the next render.
+     *
+     * @param {number} emojiSize - Glyph size in CSS pixels
+     * @param {number} cellSize - Button size in CSS pixels
+     * @param {number} emojisPerRow
+     */
+    setEmojiSize(emojiSize, cellSize, emojisPerRow) {
+        this.clear();
+        for (const row of this.#pools.row) {
+            row.destroy();
+        }
+        this.#pools.row = [];
+
+        this.#emojiSize = emojiSize;
+        this.#cellSize = cellSize;
+        this.#emojisPerRow = emojisPerRow;
+
+        if (this.#canvas) {
+            this.#measured = this.#measureLineHeights();
+        }
+    }
+
+    /**
+     * Inline style sizing an emoji button
+     * Custom text such as kaomoji keeps the stylesheet's font size and spans
+     * as many cells as it needs.
+     *
+     * @param {number} span - Cells the button covers, 0 for an emoji glyph
+     * @returns {string}
+     */
+    #getButtonStyle(span = 0) {
+        return span > 0
+            ? `width: ${span * this.#cellSize}px; height: ${this.#cellSize}px;`
+            : `width: ${this.#cellSize}px; height: ${this.#cellSize}px; font-size: ${this.#emojiSize}px;`;
+    }
+
+    /**
+     * Number of cells a custom entry spans, at most a whole row
+     * Text wider than a row is ellipsized, so rows never overflow the grid.
+     *
+     * @param {object} item - Custom entry
+     * @returns {number}
+     */
+    #getCustomSpan(item) {
+        let width = this.#customWidths.get(item.emoji);
+        if (width === undefined && this.#canvas?.get_stage()) {
+            const probe = new St.Button({ style_class: 'emoji-button emoji-custom', label: item.emoji });
+            this.#canvas.add_child(probe);
+            width = probe.get_preferred_width(-1)[1];
+            probe.destroy();
+            this.#customWidths.set(item.emoji, width);
+        }
+
+        // Unstyled off stage: guess from the length
+        width ??= [...item.emoji].length * this.#cellSize / 2;
+        return Math.min(this.#emojisPerRow, Math.max(1, Math.ceil((width + EMOJI_CELL_PADDING) / this.#cellSize)));
+    }
+
+    /**
+     * Set the images of an image-backed emoji style
+     *
+     * @param {EmojiImageSet|null} imageSet - null or empty shows font glyphs
+     */
+    setImageSet(imageSet) {
+        this.#imageSet = imageSet;
+    }
+
+    /**
+     * Set what happens when an emoji is hovered or focused
+     *
+     * @param {Function} callback - Called with (item, emoji)
+     */
+    setHighlightCallback(callback) {
+        this.#onHighlightCallback = callback;
+    }
+
+    /**
+     * Set what happens when Up is pressed on the first row
+     *
+     * @param {Function} callback - e.g. focus the search entry
+     */
+    setLeaveTopCallback(callback) {
+        this.#onLeaveTopCallback = callback;
+    }
+
+    /**
+     * Text to display and insert for an emoji
+     * Emojis supporting skin tones are shown in the selected tone.
+     *
+     * @param {object} item
+     * @returns {string}
+     */
+    #getEmojiText(item) {
+        return this.#skinToneManager
+            ? this.#skinToneManager.getEmojiText(item)
+            : item.emoji;
+    }
+
+    /**
+     * Whether an emoji gets the long press and context menu tone popover
+     *
+     * @param {object} item
+     * @returns {boolean}
+     */
+    #hasSkinTones(item) {
+        return Boolean(item.skin_tones && this.#skinToneManager?.isEnabled());
+    }
+
+    /**
+     * Create a recyclable emoji button
+     * Handlers look up the emoji the button currently shows in #bindings,
+     * so the button can be rebound to another emoji while scrolling.
+     *
+     * @returns {St.Button}
+     */
+    #createEmojiButton() {
+        const button = new St.Button({
+            style_class: 'emoji-button',
+            can_focus: true,
+            x_expand: false,
+            y_expand: false,
+        });
+
+        button.connect('clicked', () => this.#selectButton(button, this.#getClickFormat()));
+
+        button.connect('key-press-event', (_actor, event) => this.#onButtonKeyPress(button, event));
+        button.connect('key-focus-in', () => {
+            const binding = this.#bindings.get(button);
+            if (!binding) {
+                return;
+            }
+            this.#focusedLine = this.#rows[binding.rowIndex];
+            this.#scrollToLine(this.#focusedLine);
+            this.#onHighlightCallback?.(binding.item, binding.emoji);
+        });
+        button.connect('key-focus-out', () => {
+            this.#focusedLine = -1;
+        });
+        button.connect('notify::hover', () => {
+            const binding = this.#bindings.get(button);
+            if (button.hover && binding) {
+                this.#onHighlightCallback?.(binding.item, binding.emoji);
+            }
+        });
+
+        if (this.#favoritesManager) {
+            // Pin the glyph as shown, so a toned emoji is pinned in its tone
+            button.connect('key-press-event', (_actor, event) => {
+                const binding = this.#bindings.get(button);
+                const symbol = event.get_key_symbol();
+                const ctrl = (event.get_state() & Clutter.ModifierType.CONTROL_MASK) !== 0;
+                if (binding && ctrl && (symbol === Clutter.KEY_d || symbol === Clutter.KEY_D)) {
+                    this.#favoritesManager.toggle(binding.emoji);
+                    return Clutter.EVENT_STOP;
+                }
+                return Clutter.EVENT_PROPAGATE;
+            });
+        }
+
+        const openTonePopover = this.#skinToneManager
+            ? this.#setupTonePopover(button)
+            : null;
+        this.#setupContextMenu(button, openTonePopover);
+
+        return button;
+    }
+
+    /**
+     * Show an emoji on a button
+     *
+     * @param {St.Button} button
+     * @param {object} item
+     * @param {number} rowIndex
+     * @param {number} column
+     */
+    #bindButton(button, item, rowIndex, column) {
+        const emoji = this.#getEmojiText(item);
+        this.#bindings.set(button, { item, emoji, rowIndex, column });
+
+        this.#setButtonEmoji(button, emoji);
+        button.set_accessible_name(getDisplayName(item));
+
+        const style = this.#getButtonStyle(item.custom ? this.#getCustomSpan(item) : 0);
+        if (button.style !== style) {
+            button.style = style;
+        }
+
+        if (item.custom) {
+            // Custom text such as kaomoji is wider than a glyph
+            button.add_style_class_name('emoji-custom');
+        } else {
+            button.remove_style_class_name('emoji-custom');
+        }
+        if (button.child instanceof St.Label) {
+            button.child.clutter_text.ellipsize = item.custom ? Pango.EllipsizeMode.END : Pango.EllipsizeMode.NONE;
+        }
+
+        // Greyed out when the installed fonts cannot render it
+        button.opacity = item.unsupported ? UNSUPPORTED_EMOJI_OPACITY : 255;
+    }
+
+    /**
+     * Show an emoji as the style's image, or as its glyph when there is none
+     *
+     * @param {St.Button} button
+     * @param {string} emoji
+     */
+    #setButtonEmoji(button, emoji) {
+        const gicon = this.#imageSet?.lookup(emoji) ?? null;
+        if (!gicon) {
+            button.label = emoji;
             return;
         }
 
-        const children = this.#emojiGrid.get_children();
-        for (const child of children) {
-            this.#emojiGrid.remove_child(child);
-            child.destroy();
+        if (button.child instanceof St.Icon) {
+            button.child.gicon = gicon;
+        } else {
+            button.set_child(new St.Icon({
+                style_class: 'emoji-image',
+                gicon,
+                icon_size: this.#emojiSize,
+            }));
         }
     }
 
     /**
-     * Render emojis in a grid layout
+     * Select the emoji shown on a button
      *
-     * @param {Array<object>} emojis
+     * @param {St.Button} button
+     * @param {string|null} format - Key of OUTPUT_FORMATS, null for the default format
      */
-    renderEmojis(emojis) {
-        this.clear();
+    #selectButton(button, format = null) {
+        const binding = this.#bindings.get(button);
+        if (binding && this.#onEmojiSelectedCallback) {
+            this.#onEmojiSelectedCallback(binding.item, binding.emoji, format);
+        }
+    }
 
-        if (!this.#emojiGrid) {
+    /**
+     * Open the context menu on secondary click, the Menu key or Shift+F10
+     * Without a context menu, these open the skin tone popover instead.
+     *
+     * @param {St.Button} button
+     * @param {Function|null} openTonePopover - Opens the skin tone popover of the bound emoji
+     */
+    #setupContextMenu(button, openTonePopover) {
+        const openMenu = () => {
+            const binding = this.#bindings.get(button);
+            if (!binding) {
+                return false;
+            }
+
+            const tonePopover = this.#hasSkinTones(binding.item) ? openTonePopover : null;
+            if (this.#contextMenu) {
+                this.#contextMenu.open(button, binding.item, binding.emoji, tonePopover);
+                return true;
+            }
+            if (tonePopover) {
+                tonePopover();
+                return true;
+            }
+            return false;
+        };
+
+        button.connect('button-press-event', (_actor, event) => {
+            if (event.get_button() === Clutter.BUTTON_SECONDARY && openMenu()) {
+                return Clutter.EVENT_STOP;
+            }
+            return Clutter.EVENT_PROPAGATE;
+        });
+
+        button.connect('key-press-event', (_actor, event) => {
+            const symbol = event.get_key_symbol();
+            const shift = (event.get_state() & Clutter.ModifierType.SHIFT_MASK) !== 0;
+            if ((symbol === Clutter.KEY_Menu || (shift && symbol === Clutter.KEY_F10)) && openMenu()) {
+                return Clutter.EVENT_STOP;
+            }
+            return Clutter.EVENT_PROPAGATE;
+        });
+    }
+
+    /**
+     * Output format picked by the modifiers held while clicking
+     * Ctrl copies a shortcode, Shift a code point, Ctrl+Shift the plain glyph.
+     *
+     * @returns {string|null} Key of OUTPUT_FORMATS, null for the default format
+     */
+    #getClickFormat() {
+        const state = Clutter.get_current_event()?.get_state() ?? 0;
+        const ctrl = (state & Clutter.ModifierType.CONTROL_MASK) !== 0;
+        const shift = (state & Clutter.ModifierType.SHIFT_MASK) !== 0;
+
+        if (ctrl && shift) {
+            return 'glyph';
+        }
+        if (ctrl) {
+            return 'shortcode';
+        }
+        if (shift) {
+            return 'codepoint';
+        }
+        return null;
+    }
+
+    /**
+     * Create the canvas the lines are placed on, on first render
+     */
+    #ensureCanvas() {
+        if (this.#canvas) {
             return;
         }
 
-        let currentRow = null;
-        let emojiCount = 0;
+        this.#canvas = new St.Widget({
+            layout_manager: new Clutter.FixedLayout(),
+            x_expand: true,
+        });
+        this.#emojiGrid.add_child(this.#canvas);
 
-        for (const item of emojis) {
-            // Create a new row every emojisPerRow emojis
-            if (emojiCount % this.#emojisPerRow === 0) {
-                currentRow = new St.BoxLayout({
-                    vertical: false,
-                    style_class: 'emoji-row',
-                    x_expand: true,
-                });
-                this.#emojiGrid.add_child(currentRow);
+        // Headers span the grid; rows only need their buttons' width
+        this.#canvas.connect('notify::width', () => {
+            for (const [index, actor] of this.#materialized) {
+                if (this.#lines[index].type !== 'row') {
+                    actor.width = this.#canvas.width;
+                }
+            }
+        });
+
+        // Built before the popup was on stage: measure once it is shown
+        this.#canvas.connect('notify::mapped', () => {
+            if (this.#canvas.mapped && !this.#measured) {
+                this.#measured = this.#measureLineHeights();
+                if (this.#measured) {
+                    this.#layoutLines();
+                }
             }
+        });
+
+        this.#adjustment = this.#emojiGrid.vadjustment ?? null;
+        if (this.#adjustment) {
+            this.#adjustment.connect('notify::value', () => this.#updateVisibleLines());
+            this.#adjustment.connect('notify::page-size', () => this.#updateVisibleLines());
+        }
+
+        this.#measured = this.#measureLineHeights();
+    }
+
+    /**
+     * Measure header and row heights with styled probe actors
+     *
+     * @returns {boolean} Whether the grid was styled (on stage) and measurable
+     */
+    #measureLineHeights() {
+        if (!this.#canvas.get_stage()) {
+            return false;
+        }
 
-            const button = new St.Button({
-                style_class: 'emoji-button',
-                label: item.emoji,
-                can_focus: true,
-                x_expand: false,
-                y_expand: false,
+        const probes = {
+            header: this.#createLineActor('header'),
+            row: this.#createLineActor('row'),
+        };
+        probes.header.text = 'Smileys & Emotion';
+        probes.row.add_child(new St.Button({
+            style_class: 'emoji-button',
+            style: this.#getButtonStyle(),
+            label: '😀',
+        }));
+
+        const heights = {};
+        for (const [type, probe] of Object.entries(probes)) {
+            heights[type] = probe.get_preferred_height(-1)[1];
+            probe.destroy();
+        }
+
+        if (Object.values(heights).some(height => height <= 0)) {
+            return false;
+        }
+
+        this.#lineHeights = heights;
+        this.#gridPadding = this.#emojiGrid.get_theme_node().get_padding(St.Side.TOP);
+        return true;
+    }
+
+    /**
+     * Create an actor for a line type and add it to the canvas
+     *
+     * @param {string} type - header or row
+     * @returns {St.Widget}
+     */
+    #createLineActor(type) {
+        let actor;
+        if (type === 'header') {
+            actor = new St.Label({ style_class: 'emoji-category-header' });
+        } else {
+            actor = new St.BoxLayout({
+                vertical: false,
+                style_class: 'emoji-row',
             });
+        }
+
+        this.#canvas.add_child(actor);
+        return actor;
+    }
+
+    /**
+     * Append rows of emojis to a line list
+     * Rows are filled up to the width of #emojisPerRow cells; custom entries
+     * take up as many cells as their text needs.
+     *
+     * @param {Array<object>} lines
+     * @param {Array<object>} items
+     */
+    #pushRows(lines, items) {
+        let row = [];
+        let cells = 0;
+        for (const item of items) {
+            const span = item.custom ? this.#getCustomSpan(item) : 1;
+            if (row.length > 0 && cells + span > this.#emojisPerRow) {
+                lines.push({ type: 'row', items: row });
+                row = [];
+                cells = 0;
+            }
+            row.push(item);
+            cells += span;
+        }
+
+        if (row.length > 0) {
+            lines.push({ type: 'row', items: row });
+        }
+    }
+
+    /**
+     * Append the Favorites section to a line list, unless nothing is pinned
+     *
+     * @param {Array<object>} lines
+     * @param {Array<object>} emojiData
+     */
+    #pushFavorites(lines, emojiData) {
+        const favorites = this.#favoritesManager?.getFavoriteEntries(emojiData) ?? [];
+        if (favorites.length === 0) {
+            return;
+        }
+
+        lines.push({ type: 'header', category: 'Favorites', text: 'Favorites' });
+        this.#pushRows(lines, favorites);
+    }
+
+    /**
+     * Replace the grid contents with a line list
+     * Rows are numbered here, for keyboard navigation.
+     *
+     * @param {Array<object>} lines
+     */
+    #setLines(lines) {
+        this.#lines = lines;
+        this.#rows = [];
+        lines.forEach((line, index) => {
+            if (line.type === 'row') {
+                line.rowIndex = this.#rows.length;
+                this.#rows.push(index);
+            }
+        });
+        this.#layoutLines();
+
+        this.#emojiGrid.show();
+        this.#emojiGrid.queue_relayout();
+    }
+
+    /**
+     * Compute line offsets from the line heights and size the canvas
+     */
+    #layoutLines() {
+        let y = 0;
+        for (const line of this.#lines) {
+            line.y = y;
+            line.height = this.#lineHeights[line.type];
+            y += line.height;
+        }
+        this.#canvas.height = y;
+
+        for (const [index, actor] of this.#materialized) {
+            actor.set_position(0, this.#lines[index].y);
+            actor.height = this.#lines[index].height;
+        }
+
+        this.#registerSections();
+        this.#updateVisibleLines();
+    }
+
+    /**
+     * Report the offset of each category header, for category tabs and scroll sync
+     */
+    #registerSections() {
+        if (!this.#registerSectionCallback) {
+            return;
+        }
+
+        for (const line of this.#lines) {
+            if (line.type === 'header') {
+                this.#registerSectionCallback(line.category, line.y + this.#gridPadding);
+            }
+        }
+    }
+
+    /**
+     * Index of the line at an offset into the canvas
+     *
+     * @param {number} y
+     * @returns {number}
+     */
+    #findLine(y) {
+        let low = 0;
+        let high = this.#lines.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.#lines[middle].y <= y) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Materialize the lines in view plus a margin, recycling the others
+     * The line holding key focus is kept, so focus survives scrolling.
+     */
+    #updateVisibleLines() {
+        if (!this.#canvas) {
+            return;
+        }
+
+        const wanted = new Set();
+        if (this.#lines.length > 0) {
+            const scrollY = (this.#adjustment?.value ?? 0) - this.#gridPadding;
+            const pageSize = this.#adjustment?.page_size || this.#emojiGrid.get_parent()?.height || POPUP_HEIGHT;
+            const margin = GRID_OVERSCAN_ROWS * this.#lineHeights.row;
+
+            const first = this.#findLine(scrollY - margin);
+            const last = this.#findLine(scrollY + pageSize + margin);
+            for (let index = first; index <= last; index++) {
+                wanted.add(index);
+            }
+        }
+        if (this.#focusedLine >= 0) {
+            wanted.add(this.#focusedLine);
+        }
+
+        for (const index of [...this.#materialized.keys()]) {
+            if (!wanted.has(index)) {
+                this.#releaseLine(index);
+            }
+        }
+        for (const index of wanted) {
+            if (!this.#materialized.has(index)) {
+                this.#acquireLine(index);
+            }
+        }
+    }
+
+    /**
+     * Show a line, reusing a spare actor when there is one
+     *
+     * @param {number} index - Index into #lines
+     */
+    #acquireLine(index) {
+        const line = this.#lines[index];
+        const actor = this.#pools[line.type].pop() ?? this.#createLineActor(line.type);
+
+        if (line.type === 'row') {
+            this.#bindRow(actor, line);
+        } else {
+            actor.text = line.text;
+            actor.width = this.#canvas.width;
+        }
+
+        actor.set_position(0, line.y);
+        actor.height = line.height;
+        actor.show();
+        this.#materialized.set(index, actor);
+    }
+
+    /**
+     * Hide a line and keep its actor for reuse
+     *
+     * @param {number} index - Index into #lines
+     */
+    #releaseLine(index) {
+        const actor = this.#materialized.get(index);
+        this.#materialized.delete(index);
+        actor.hide();
+
+        const type = this.#lines[index].type;
+        if (type === 'row') {
+            for (const button of actor.get_children()) {
+                this.#bindings.delete(button);
+            }
+        }
+        this.#pools[type].push(actor);
+    }
+
+    /**
+     * Show a row's emojis on a row actor, adding buttons as needed
+     *
+     * @param {St.BoxLayout} row
+     * @param {object} line
+     */
+    #bindRow(row, line) {
+        line.items.forEach((item, column) => {
+            let button = row.get_child_at_index(column);
+            if (!button) {
+                button = this.#createEmojiButton();
+                row.add_child(button);
+            }
+            this.#bindButton(button, item, line.rowIndex, column);
+            button.show();
+        });
+
+        // Shorter last row of a section
+        for (let column = line.items.length; column < row.get_n_children(); column++) {
+            const button = row.get_child_at_index(column);
+            this.#bindings.delete(button);
+            button.hide();
+        }
+    }
+
+    /**
+     * Scroll just enough for a line to be fully visible
+     *
+     * @param {number} index - Index into #lines
+     */
+    #scrollToLine(index) {
+        const line = this.#lines[index];
+        if (!line || !this.#adjustment) {
+            return;
+        }
+
+        const top = line.y + this.#gridPadding;
+        const bottom = top + line.height;
+        const { value, page_size: pageSize } = this.#adjustment;
+
+        if (top < value) {
+            this.#adjustment.value = top;
+        } else if (pageSize > 0 && bottom > value + pageSize) {
+            this.#adjustment.value = bottom - pageSize;
+        }
+    }
+
+    /**
+     * Focus an emoji by its position, materializing its row first
+     *
+     * @param {number} rowIndex
+     * @param {number} column - Clamped to the row length
+     * @returns {boolean} Whether there was an emoji to focus
+     */
+    #focusCell(rowIndex, column) {
+        const lineIndex = this.#rows[rowIndex];
+        const line = this.#lines[lineIndex];
+        if (!line) {
+            return false;
+        }
+
+        this.#focusedLine = lineIndex;
+        this.#scrollToLine(lineIndex);
+        this.#updateVisibleLines();
+
+        const button = this.#materialized.get(lineIndex)
+            ?.get_child_at_index(Math.min(column, line.items.length - 1));
+        if (!button) {
+            return false;
+        }
+        button.grab_key_focus();
+        return true;
+    }
+
+    /**
+     * Move focus across the grid
+     * Rows are navigated as one list, so arrows cross category boundaries.
+     * Enter and Space are handled by St.Button itself (they emit clicked).
+     *
+     * @param {St.Button} button - Focused button
+     * @param {Clutter.Event} event
+     * @returns {boolean}
+     */
+    #onButtonKeyPress(button, event) {
+        const binding = this.#bindings.get(button);
+        if (!binding) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const { rowIndex, column } = binding;
+        const rowLength = this.#lines[this.#rows[rowIndex]].items.length;
+        const ctrl = (event.get_state() & Clutter.ModifierType.CONTROL_MASK) !== 0;
+        const lastRow = this.#rows.length - 1;
+
+        let target = null;
+        switch (event.get_key_symbol()) {
+        case Clutter.KEY_Left:
+            target = column > 0
+                ? [rowIndex, column - 1]
+                : [rowIndex - 1, Infinity];
+            break;
+        case Clutter.KEY_Right:
+            target = column < rowLength - 1
+                ? [rowIndex, column + 1]
+                : [rowIndex + 1, 0];
+            break;
+        case Clutter.KEY_Up:
+            if (rowIndex === 0) {
+                if (this.#onLeaveTopCallback) {
+                    this.#onLeaveTopCallback();
+                }
+                return Clutter.EVENT_STOP;
+            }
+            target = [rowIndex - 1, column];
+            break;
+        case Clutter.KEY_Down:
+            target = [rowIndex + 1, column];
+            break;
+        case Clutter.KEY_Home:
+            target = ctrl ? [0, 0] : [rowIndex, 0];
+            break;
+        case Clutter.KEY_End:
+            target = ctrl ? [lastRow, Infinity] : [rowIndex, Infinity];
+            break;
+        case Clutter.KEY_Page_Up:
+            target = [Math.max(0, rowIndex - this.#getPageRows()), column];
+            break;
+        case Clutter.KEY_Page_Down:
+            target = [Math.min(lastRow, rowIndex + this.#getPageRows()), column];
+            break;
+        default:
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const [targetRow, targetColumn] = target;
+        this.#focusCell(targetRow, targetColumn);
+        return Clutter.EVENT_STOP;
+    }
+
+    /**
+     * Number of rows PageUp/PageDown move by: one screenful
+     *
+     * @returns {number}
+     */
+    #getPageRows() {
+        const pageSize = this.#adjustment?.page_size || this.#emojiGrid?.get_parent()?.height;
+        if (!pageSize) {
+            return 1;
+        }
+        return Math.max(1, Math.floor(pageSize / this.#lineHeights.row) - 1);
+    }
+
+    /**
+     * Focus the first emoji in the grid
+     *
+     * @returns {boolean} Whether there was an emoji to focus
+     */
+    focusFirst() {
+        return this.#focusCell(0, 0);
+    }
+
+    /**
+     * Select the first emoji in the grid, as if it was clicked
+     *
+     * @returns {boolean} Whether there was an emoji to select
+     */
+    activateFirst() {
+        const item = this.#lines[this.#rows[0]]?.items[0];
+        if (!item || !this.#onEmojiSelectedCallback) {
+            return false;
+        }
+        this.#onEmojiSelectedCallback(item, this.#getEmojiText(item), null);
+        return true;
+    }
 
-            button.set_accessible_name(item.description ?? item.emoji);
-            button.connect('clicked', () => {
+    /**
+     * Open the skin tone popover on long press
+     *
+     * @param {St.Button} button
+     * @returns {Function} Opens the popover for the bound emoji, for the context menu
+     */
+    #setupTonePopover(button) {
+        let longPressId = 0;
+        let longPressed = false;
+
+        const openPopover = () => {
+            const item = this.#bindings.get(button)?.item;
+            if (!item) {
+                return;
+            }
+
+            this.#skinToneManager.openTonePopover(button, item, (variant) => {
+                // The button may show another emoji by now if the grid scrolled
+                const binding = this.#bindings.get(button);
+                if (binding?.item === item) {
+                    binding.emoji = variant;
+                    this.#setButtonEmoji(button, variant);
+                }
                 if (this.#onEmojiSelectedCallback) {
-                    this.#onEmojiSelectedCallback(item);
+                    this.#onEmojiSelectedCallback(item, variant);
                 }
             });
+        };
+
+        const cancelLongPress = () => {
+            if (longPressId) {
+                GLib.source_remove(longPressId);
+                longPressId = 0;
+            }
+        };
+
+        button.connect('button-press-event', (_actor, event) => {
+            const binding = this.#bindings.get(button);
+            if (event.get_button() === Clutter.BUTTON_PRIMARY && binding && this.#hasSkinTones(binding.item)) {
+                longPressed = false;
+                cancelLongPress();
+                longPressId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SKIN_TONE_LONG_PRESS_MS, () => {
+                    longPressId = 0;
+                    longPressed = true;
+                    button.fake_release();
+                    openPopover();
+                    return GLib.SOURCE_REMOVE;
+                });
+            }
+            return Clutter.EVENT_PROPAGATE;
+        });
+
+        // Swallow the release that ends a long press so it doesn't insert the emoji
+        button.connect('button-release-event', () => {
+            cancelLongPress();
+            if (longPressed) {
+                longPressed = false;
+                return Clutter.EVENT_STOP;
+            }
+            return Clutter.EVENT_PROPAGATE;
+        });
 
-            currentRow.add_child(button);
-            emojiCount++;
+        button.connect('destroy', cancelLongPress);
+        return openPopover;
+    }
+
+    /**
+     * Clear all emoji content
+     * Line actors are kept for the next render.
+     */
+    clear() {
+        for (const index of [...this.#materialized.keys()]) {
+            this.#releaseLine(index);
         }
-        
-        // Force the grid to show and queue a relayout
-        this.#emojiGrid.show();
-        this.#emojiGrid.queue_relayout();
+
+        this.#lines = [];
+        this.#rows = [];
+        this.#focusedLine = -1;
+        this.#registerSectionCallback = null;
+
+        if (this.#canvas) {
+            this.#canvas.height = 0;
+        }
+    }
+
+    /**
+     * Render emojis in a grid layout
+     *
+     * @param {Array<object>} emojis
+     */
+    renderEmojis(emojis) {
+        this.clear();
+
+        if (!this.#emojiGrid) {
+            return;
+        }
+
+        this.#ensureCanvas();
+
+        const lines = [];
+        this.#pushRows(lines, emojis);
+        this.#setLines(lines);
     }
 
     /**
      * Render emojis grouped by category with headers
+     * Pinned favorites come first, in the user's order. The suggestions section
+     * follows; it is titled after the suggestion mode, but keeps the
+     * 'Frequently Used' key its category tab is registered under.
      *
      * @param {Array<object>} emojiData
      * @param {UsageTracker} usageTracker
-     * @param {Function} registerSectionCallback - Called for each category header
+     * @param {Function} registerSectionCallback - Called with (category, offset) for each category header
+     * @param {string} suggestionMode - recent, frequent or trending
      */
-    renderEmojisByCategory(emojiData, usageTracker, registerSectionCallback) {
+    renderEmojisByCategory(emojiData, usageTracker, registerSectionCallback, suggestionMode = 'recent') {
         this.clear();
 
         if (!this.#emojiGrid) {
             return;
         }
 
-        // Get frequently used emojis
-        const frequentlyUsed = usageTracker.getFrequentlyUsed(emojiData, 30);
+        this.#ensureCanvas();
+
+        // Get suggested emojis
+        const mode = suggestionMode in SUGGESTION_MODES ? suggestionMode : 'recent';
+        const suggestions = usageTracker.getSuggestions(emojiData, mode);
 
         // Group emojis by category
         const categorizedEmojis = new Map();
-        if (frequentlyUsed.length > 0) {
-            categorizedEmojis.set('Frequently Used', frequentlyUsed);
+        if (suggestions.length > 0) {
+            categorizedEmojis.set('Frequently Used', suggestions);
         }
 
         for (const item of emojiData) {
@@ -122,61 +1011,87 @@ export class EmojiRenderer {
             categorizedEmojis.get(category).push(item);
         }
 
-        // Render each category
+        // Lay out each category: header, then its rows
+        const lines = [];
+        this.#pushFavorites(lines, emojiData);
         for (const [category, emojis] of categorizedEmojis.entries()) {
             if (emojis.length === 0) {
                 continue;
             }
 
-            // Create category header
-            const header = new St.Label({
-                text: category,
-                style_class: 'emoji-category-header',
-                x_expand: true,
+            lines.push({
+                type: 'header',
+                category,
+                text: category === 'Frequently Used' ? SUGGESTION_MODES[mode] : category,
             });
-            this.#emojiGrid.add_child(header);
+            this.#pushRows(lines, emojis);
+        }
+
+        // Section offsets are reported on every layout, so they follow re-measuring
+        this.#registerSectionCallback = registerSectionCallback;
+        this.#setLines(lines);
+    }
 
-            // Register section for scroll sync
-            if (registerSectionCallback) {
-                registerSectionCallback(category, header);
+    /**
+     * Rebuild the Favorites section of the category view after a pin or unpin
+     * The sections below keep their place on screen, and key focus goes back
+     * to the emoji that had it (or its cell, if it was unpinned).
+     *
+     * @param {Array<object>} emojiData
+     */
+    updateFavorites(emojiData) {
+        // Only the category view has a Favorites section
+        if (!this.#canvas || !this.#registerSectionCallback) {
+            return;
+        }
+
+        let oldEnd = 0;
+        if (this.#lines[0]?.category === 'Favorites') {
+            oldEnd = this.#lines.findIndex((line, index) => index > 0 && line.type === 'header');
+            if (oldEnd === -1) {
+                oldEnd = this.#lines.length;
             }
+        }
+        const oldEndY = this.#lines[oldEnd]?.y ?? this.#canvas.height;
 
-            // Render emojis in rows
-            let currentRow = null;
-            let emojiCount = 0;
+        const focusedRow = this.#materialized.get(this.#focusedLine);
+        const focusedButton = focusedRow?.get_children().find(button => button.has_key_focus());
+        const focus = focusedButton ? { line: this.#focusedLine, ...this.#bindings.get(focusedButton) } : null;
 
-            for (const item of emojis) {
-                if (emojiCount % this.#emojisPerRow === 0) {
-                    currentRow = new St.BoxLayout({
-                        vertical: false,
-                        style_class: 'emoji-row',
-                        x_expand: true,
-                    });
-                    this.#emojiGrid.add_child(currentRow);
-                }
+        const favorites = [];
+        this.#pushFavorites(favorites, emojiData);
 
-                const button = new St.Button({
-                    style_class: 'emoji-button',
-                    label: item.emoji,
-                    can_focus: true,
-                    x_expand: false,
-                    y_expand: false,
-                });
+        for (const index of [...this.#materialized.keys()]) {
+            this.#releaseLine(index);
+        }
+        this.#focusedLine = -1;
+        this.#setLines([...favorites, ...this.#lines.slice(oldEnd)]);
 
-                button.set_accessible_name(item.description ?? item.emoji);
-                button.connect('clicked', () => {
-                    if (this.#onEmojiSelectedCallback) {
-                        this.#onEmojiSelectedCallback(item);
-                    }
-                });
+        // Keep what is below the Favorites section still
+        const delta = (this.#lines[favorites.length]?.y ?? this.#canvas.height) - oldEndY;
+        const scrollY = (this.#adjustment?.value ?? 0) - this.#gridPadding;
+        if (delta !== 0 && this.#adjustment && (focus ? focus.line >= oldEnd : scrollY >= oldEndY)) {
+            this.#adjustment.value += delta;
+        }
 
-                currentRow.add_child(button);
-                emojiCount++;
-            }
+        if (!focus) {
+            return;
         }
 
-        // Force relayout
-        this.#emojiGrid.show();
-        this.#emojiGrid.queue_relayout();
+        if (focus.line >= oldEnd) {
+            const line = this.#lines[focus.line - oldEnd + favorites.length];
+            this.#focusCell(line.rowIndex, focus.column);
+            return;
+        }
+
+        const pinned = favorites.find(line => line.type === 'row' &&
+            line.items.some(item => this.#getEmojiText(item) === focus.emoji));
+        if (pinned) {
+            const column = pinned.items.findIndex(item => this.#getEmojiText(item) === focus.emoji);
+            this.#focusCell(pinned.rowIndex, column);
+        } else {
+            const rowCount = favorites.filter(line => line.type === 'row').length;
+            this.#focusCell(Math.min(focus.rowIndex, Math.max(0, rowCount - 1)), focus.column);
+        }
     }
 }
@@ -0,0 +1,120 @@
+/**
+ * Favorites Manager
+ * Keeps the user's pinned emojis in the order they arranged them
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import { createToneLookup } from './skinToneManager.js';
+
+export class FavoritesManager {
+    #settings;
+    #onFavoritesChangedCallback;
+    #settingsChangedId;
+
+    /**
+     * @param {Gio.Settings} settings
+     * @param {Function} onFavoritesChangedCallback - Called when favorites change, also from prefs
+     */
+    constructor(settings, onFavoritesChangedCallback) {
+        this.#settings = settings;
+        this.#onFavoritesChangedCallback = onFavoritesChangedCallback;
+        this.#settingsChangedId = this.#settings.connect('changed::favorite-emojis', () => {
+            if (this.#onFavoritesChangedCallback) {
+                this.#onFavoritesChangedCallback();
+            }
+        });
+    }
+
+    /**
+     * Get pinned emojis in display order
+     *
+     * @returns {Array<string>}
+     */
+    getFavorites() {
+        return this.#settings.get_strv('favorite-emojis');
+    }
+
+    /**
+     * Check if an emoji is pinned
+     *
+     * @param {string} emoji - Emoji text, including any skin tone
+     * @returns {boolean}
+     */
+    isFavorite(emoji) {
+        return this.getFavorites().includes(emoji);
+    }
+
+    /**
+     * Pin an emoji at the end of the favorites
+     *
+     * @param {string} emoji
+     */
+    add(emoji) {
+        const favorites = this.getFavorites();
+        if (!favorites.includes(emoji)) {
+            this.#settings.set_strv('favorite-emojis', [...favorites, emoji]);
+        }
+    }
+
+    /**
+     * Unpin an emoji
+     *
+     * @param {string} emoji
+     */
+    remove(emoji) {
+        const favorites = this.getFavorites();
+        if (favorites.includes(emoji)) {
+            this.#settings.set_strv('favorite-emojis', favorites.filter(favorite => favorite !== emoji));
+        }
+    }
+
+    /**
+     * Pin or unpin an emoji
+     *
+     * @param {string} emoji
+     * @returns {boolean} Whether the emoji is pinned now
+     */
+    toggle(emoji) {
+        if (this.isFavorite(emoji)) {
+            this.remove(emoji);
+            return false;
+        }
+
+        this.add(emoji);
+        return true;
+    }
+
+    /**
+     * Get dataset entries for the pinned emojis
+     * Pinned skin tone variants are returned as entries for the variant itself.
+     *
+     * @param {Array<object>} emojiData
+     * @returns {Array<object>}
+     */
+    getFavoriteEntries(emojiData) {
+        const favorites = this.getFavorites();
+        if (favorites.length === 0) {
+            return [];
+        }
+
+        const emojiMap = createToneLookup(emojiData);
+        return favorites
+            .map(emoji => emojiMap.get(emoji))
+            .filter(entry => entry);
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        if (this.#settingsChangedId) {
+            this.#settings.disconnect(this.#settingsChangedId);
+            this.#settingsChangedId = 0;
+        }
+        this.#settings = null;
+        this.#onFavoritesChangedCallback = null;
+    }
+}
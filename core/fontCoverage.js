@@ -0,0 +1,364 @@
+/**
+ * Font Coverage
+ * Detects emojis the installed fonts cannot render, using Pango on the
+ * shell's font map: tofu boxes (unknown glyphs) and ZWJ sequences the font
+ * has no ligature for, which come out several glyphs wide.
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import Clutter from 'gi://Clutter';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Pango from 'gi://Pango';
+import { FONT_COVERAGE_BATCH_SIZE, FONT_COVERAGE_SAVE_DELAY_MS } from './constants.js';
+import { compareVersions, getSearchIndex, parseVersion } from './emojiData.js';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async', 'replace_contents_finish');
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+
+// Results live in $XDG_CACHE_HOME/gemoji/font-coverage.json
+const CACHE_FILE_DIR = 'gemoji';
+const CACHE_FILE_NAME = 'font-coverage.json';
+const CACHE_FILE_VERSION = 1;
+
+// Font files deciding emoji coverage, e.g. NotoColorEmoji.ttf or Twemoji.otf
+const EMOJI_FONT_FILE = /emoji/i;
+const FONT_FILE_ATTRIBUTES = 'standard::name,standard::type,time::modified';
+
+// A supported emoji is about as wide as the reference; a split sequence is wider
+const REFERENCE_EMOJI = '😀';
+const SPLIT_WIDTH_RATIO = 1.5;
+
+/**
+ * Check whether an error comes from a cancelled Gio operation
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isCancelled(error) {
+    return error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED);
+}
+
+/**
+ * Apply the unsupported-emoji-mode setting to a dataset
+ * 'hide' drops unsupported emojis, 'grey' marks them `unsupported` for the
+ * renderer and 'version' drops emojis newer than maxVersion. Custom entries
+ * and entries without a version are always kept.
+ *
+ * @param {Array<object>} emojiData - Dataset from loadEmojiDataAsync
+ * @param {Set<string>} unsupported - Emojis from FontCoverage.check
+ * @param {string} mode - show, grey, hide or version
+ * @param {string} maxVersion - Highest Unicode version shown in 'version' mode
+ * @returns {Array<object>} The dataset, or a filtered copy with its own search index
+ */
+export function applyFontCoverage(emojiData, unsupported, mode, maxVersion) {
+    let visible = emojiData;
+
+    if (mode === 'hide') {
+        visible = emojiData.filter(entry => !unsupported.has(entry.emoji));
+    } else if (mode === 'grey') {
+        for (const entry of emojiData) {
+            if (unsupported.has(entry.emoji)) {
+                entry.unsupported = true;
+            }
+        }
+    } else if (mode === 'version') {
+        const max = parseVersion(maxVersion);
+        if (max) {
+            visible = emojiData.filter(entry => {
+                const version = parseVersion(entry.unicode_version);
+                return !version || compareVersions(version, max) <= 0;
+            });
+        }
+    }
+
+    if (visible !== emojiData) {
+        // Index the filtered list up front, like loadEmojiDataAsync does
+        getSearchIndex(visible);
+    }
+    return visible;
+}
+
+export class FontCoverage {
+    #coverage;
+    #fontKey; // Key the coverage was measured with
+    #installedFontKey; // Key of the installed fonts, until fontconfig reloads
+    #file;
+    #idleSources; // Idle source ID -> resolve of its #waitForIdle promise
+    #saveTimeoutId;
+    #saving; // Promise of the write in progress, later writes queue behind it
+    #clutterSettings;
+    #fontconfigChangedId;
+
+    /**
+     * The installed fonts are looked up once, and again after fontconfig
+     * reloads its configuration.
+     */
+    constructor() {
+        this.#coverage = new Map();
+        this.#fontKey = null;
+        this.#installedFontKey = null;
+        this.#file = Gio.File.new_for_path(
+            GLib.build_filenamev([GLib.get_user_cache_dir(), CACHE_FILE_DIR, CACHE_FILE_NAME])
+        );
+        this.#idleSources = new Map();
+        this.#saveTimeoutId = 0;
+        this.#saving = Promise.resolve();
+
+        this.#clutterSettings = Clutter.Settings.get_default();
+        this.#fontconfigChangedId = this.#clutterSettings.connect('notify::fontconfig-timestamp', () => {
+            this.#installedFontKey = null;
+        });
+    }
+
+    /**
+     * Find the emojis the installed fonts cannot render
+     * Results are cached per set of emoji font files and their mtimes, so
+     * only new emojis or changed fonts cost a measurement.
+     *
+     * @param {Array<object>} emojiData
+     * @param {Gio.Cancellable|null} cancellable
+     * @returns {Promise<Set<string>>}
+     */
+    async check(emojiData, cancellable = null) {
+        const fontKey = await this.#getFontKey(cancellable);
+        if (fontKey !== this.#fontKey) {
+            this.#coverage = await this.#loadCache(fontKey, cancellable);
+            this.#fontKey = fontKey;
+        }
+
+        // Custom entries are free text such as kaomoji, not emoji sequences
+        const pending = emojiData.filter(entry => !entry.custom && !this.#coverage.has(entry.emoji));
+        if (pending.length > 0) {
+            if (!await this.#measure(pending, cancellable)) {
+                return new Set();
+            }
+            this.#queueSave();
+        }
+
+        return new Set(
+            emojiData
+                .filter(entry => this.#coverage.get(entry.emoji) === false)
+                .map(entry => entry.emoji)
+        );
+    }
+
+    /**
+     * Build the cache key from the emoji font files and their mtimes
+     * The font directories are only walked when fontconfig has reloaded
+     * since the last lookup.
+     *
+     * @param {Gio.Cancellable|null} cancellable
+     * @returns {Promise<string>}
+     */
+    async #getFontKey(cancellable) {
+        if (this.#installedFontKey !== null) {
+            return this.#installedFontKey;
+        }
+
+        const directories = [
+            ...GLib.get_system_data_dirs().map(dir => GLib.build_filenamev([dir, 'fonts'])),
+            GLib.build_filenamev([GLib.get_user_data_dir(), 'fonts']),
+            GLib.build_filenamev([GLib.get_home_dir(), '.fonts']),
+        ];
+
+        const fonts = [];
+        for (const directory of new Set(directories)) {
+            await this.#collectFontFiles(Gio.File.new_for_path(directory), fonts, cancellable);
+        }
+        this.#installedFontKey = fonts.sort().join('\n');
+        return this.#installedFontKey;
+    }
+
+    /**
+     * Collect `path:mtime` of the emoji font files under a directory
+     *
+     * @param {Gio.File} directory
+     * @param {Array<string>} fonts - Filled in
+     * @param {Gio.Cancellable|null} cancellable
+     */
+    async #collectFontFiles(directory, fonts, cancellable) {
+        let enumerator;
+        try {
+            enumerator = await directory.enumerate_children_async(
+                FONT_FILE_ATTRIBUTES,
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_LOW,
+                cancellable
+            );
+        } catch (error) {
+            if (isCancelled(error)) {
+                throw error;
+            }
+            // Most of the candidate directories don't exist
+            return;
+        }
+
+        for (;;) {
+            const infos = await enumerator.next_files_async(100, GLib.PRIORITY_LOW, cancellable);
+            if (infos.length === 0) {
+                break;
+            }
+
+            for (const info of infos) {
+                const child = directory.get_child(info.get_name());
+                if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+                    await this.#collectFontFiles(child, fonts, cancellable);
+                } else if (EMOJI_FONT_FILE.test(info.get_name())) {
+                    fonts.push(`${child.get_path()}:${info.get_attribute_uint64('time::modified')}`);
+                }
+            }
+        }
+        enumerator.close(null);
+    }
+
+    /**
+     * Measure emojis with Pango, a batch per idle so the shell stays responsive
+     *
+     * @param {Array<object>} entries
+     * @param {Gio.Cancellable|null} cancellable
+     * @returns {Promise<boolean>} false if cancelled
+     */
+    async #measure(entries, cancellable) {
+        const layout = Pango.Layout.new(global.stage.get_pango_context());
+        const widthOf = text => {
+            layout.set_text(text, -1);
+            return layout.get_pixel_size()[0];
+        };
+        const maxWidth = widthOf(REFERENCE_EMOJI) * SPLIT_WIDTH_RATIO;
+
+        for (let i = 0; i < entries.length; i++) {
+            if (i > 0 && i % FONT_COVERAGE_BATCH_SIZE === 0) {
+                if (!await this.#waitForIdle() || cancellable?.is_cancelled()) {
+                    return false;
+                }
+            }
+
+            const { emoji } = entries[i];
+            const width = widthOf(emoji);
+            this.#coverage.set(emoji, layout.get_unknown_glyphs_count() === 0 && width <= maxWidth);
+        }
+        return true;
+    }
+
+    /**
+     * Resolve once the main loop is idle
+     *
+     * Each call has its own idle source, so overlapping checks don't
+     * interfere.
+     *
+     * @returns {Promise<boolean>} false if destroyed first
+     */
+    #waitForIdle() {
+        return new Promise(resolve => {
+            const idleId = GLib.idle_add(GLib.PRIORITY_LOW, () => {
+                this.#idleSources.delete(idleId);
+                resolve(true);
+                return GLib.SOURCE_REMOVE;
+            });
+            this.#idleSources.set(idleId, resolve);
+        });
+    }
+
+    /**
+     * Read cached results, if they were measured with the same fonts
+     *
+     * @param {string} fontKey
+     * @param {Gio.Cancellable|null} cancellable
+     * @returns {Promise<Map<string, boolean>>}
+     */
+    async #loadCache(fontKey, cancellable) {
+        try {
+            const [bytes] = await this.#file.load_contents_async(cancellable);
+            const data = JSON.parse(new TextDecoder('utf-8').decode(bytes));
+            if (data?.version === CACHE_FILE_VERSION && data.fontKey === fontKey && typeof data.coverage === 'object') {
+                return new Map(Object.entries(data.coverage));
+            }
+        } catch (error) {
+            if (isCancelled(error)) {
+                throw error;
+            }
+            if (!(error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))) {
+                logError(error, 'emoji-picker: failed to load font coverage cache');
+            }
+        }
+        return new Map();
+    }
+
+    /**
+     * Coalesce saves: checks within the delay are written together
+     */
+    #queueSave() {
+        if (this.#saveTimeoutId) {
+            return;
+        }
+
+        this.#saveTimeoutId = GLib.timeout_add(GLib.PRIORITY_LOW, FONT_COVERAGE_SAVE_DELAY_MS, () => {
+            this.#saveTimeoutId = 0;
+            this.#saveCache();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Write the results for the current fonts, after any write still in progress
+     * The results are serialized right away, so they may change meanwhile.
+     *
+     * @returns {Promise<boolean>} Whether the file was written
+     */
+    #saveCache() {
+        const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify({
+            version: CACHE_FILE_VERSION,
+            fontKey: this.#fontKey,
+            coverage: Object.fromEntries(this.#coverage),
+        })));
+
+        this.#saving = this.#saving.then(async () => {
+            try {
+                GLib.mkdir_with_parents(this.#file.get_parent().get_path(), 0o700);
+                await this.#file.replace_contents_bytes_async(
+                    bytes,
+                    null,
+                    false,
+                    Gio.FileCreateFlags.REPLACE_DESTINATION,
+                    null
+                );
+                return true;
+            } catch (error) {
+                logError(error, 'emoji-picker: failed to save font coverage cache');
+                return false;
+            }
+        });
+        return this.#saving;
+    }
+
+    /**
+     * Clean up
+     * Checks still measuring stop at their next batch and resolve empty.
+     */
+    destroy() {
+        for (const [idleId, resolve] of this.#idleSources) {
+            GLib.source_remove(idleId);
+            resolve(false);
+        }
+        this.#idleSources.clear();
+
+        if (this.#saveTimeoutId) {
+            GLib.source_remove(this.#saveTimeoutId);
+            this.#saveTimeoutId = 0;
+            this.#saveCache();
+        }
+
+        if (this.#fontconfigChangedId) {
+            this.#clutterSettings.disconnect(this.#fontconfigChangedId);
+            this.#fontconfigChangedId = 0;
+        }
+        this.#clutterSettings = null;
+        this.#coverage.clear();
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * Popup Placement
+ * Positions the popup according to the popup-placement setting and
+ * remembers dragged positions per monitor
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { PLACEMENT_MODES } from './constants.js';
+
+/**
+ * Identify a monitor by its geometry, which stays the same across sessions
+ * on the same desk while monitor indices may not
+ *
+ * @param {object} monitor - Main.layoutManager monitor
+ * @returns {string}
+ */
+function getMonitorKey(monitor) {
+    return `${monitor.width}x${monitor.height}+${monitor.x}+${monitor.y}`;
+}
+
+export class PopupPlacement {
+    #settings;
+    #positions; // Monitor key -> {x, y} relative to the monitor's work area
+
+    /**
+     * @param {Gio.Settings} settings
+     */
+    constructor(settings) {
+        this.#settings = settings;
+        this.#positions = new Map();
+        this.loadPositions();
+    }
+
+    /**
+     * Load remembered positions from settings
+     */
+    loadPositions() {
+        try {
+            const data = JSON.parse(this.#settings.get_string('popup-positions'));
+            this.#positions = new Map(Object.entries(data));
+        } catch (error) {
+            logError(error, 'emoji-picker: failed to load popup positions');
+            this.#positions = new Map();
+        }
+    }
+
+    /**
+     * Save remembered positions to settings
+     */
+    savePositions() {
+        try {
+            const json = JSON.stringify(Object.fromEntries(this.#positions));
+            this.#settings.set_string('popup-positions', json);
+        } catch (error) {
+            logError(error, 'emoji-picker: failed to save popup positions');
+        }
+    }
+
+    /**
+     * Get the placement mode
+     *
+     * @returns {string} - Key of PLACEMENT_MODES
+     */
+    getMode() {
+        const mode = this.#settings.get_string('popup-placement');
+        return mode in PLACEMENT_MODES ? mode : 'center';
+    }
+
+    /**
+     * Get the monitor the popup opens on for the center and last placements
+     * popup-monitor picks the monitor of the focused window (the pointer's
+     * when no window has focus), the pointer's or the primary one.
+     *
+     * @returns {number} Monitor index
+     */
+    getTargetMonitorIndex() {
+        const mode = this.#settings.get_string('popup-monitor');
+        if (mode === 'primary') {
+            return Main.layoutManager.primaryIndex;
+        }
+
+        if (mode !== 'pointer') {
+            const monitorIndex = global.display.focus_window?.get_monitor() ?? -1;
+            if (monitorIndex >= 0) {
+                return monitorIndex;
+            }
+        }
+
+        return this.#getPointerMonitorIndex();
+    }
+
+    /**
+     * Get the monitor under the pointer
+     *
+     * @returns {number} Monitor index, the primary one if none contains the pointer
+     */
+    #getPointerMonitorIndex() {
+        const [pointerX, pointerY] = global.get_pointer();
+        const monitorIndex = Main.layoutManager.monitors.findIndex(monitor =>
+            pointerX >= monitor.x && pointerX < monitor.x + monitor.width &&
+            pointerY >= monitor.y && pointerY < monitor.y + monitor.height);
+        return monitorIndex >= 0 ? monitorIndex : Main.layoutManager.primaryIndex;
+    }
+
+    /**
+     * Compute where the popup goes, clamped to the work area of its monitor
+     * The pointer, panel and window placements use their anchor's monitor,
+     * the others the target monitor. Modes whose anchor is missing (no panel
+     * indicator, no focused window, nothing remembered for the monitor) fall
+     * back to the monitor center.
+     *
+     * @param {Clutter.Actor} popup
+     * @param {Clutter.Actor|null} panelButton - Panel indicator, if shown
+     * @returns {{x: number, y: number}}
+     */
+    getPosition(popup, panelButton) {
+        const [width, height] = [popup.width, popup.height];
+        const mode = this.getMode();
+        let monitorIndex = this.getTargetMonitorIndex();
+        let position = null;
+
+        if (mode === 'pointer') {
+            const [pointerX, pointerY] = global.get_pointer();
+            monitorIndex = this.#getPointerMonitorIndex();
+            position = { x: pointerX - width / 2, y: pointerY - height / 2 };
+        } else if (mode === 'panel' && panelButton?.get_stage()) {
+            const [buttonX, buttonY] = panelButton.get_transformed_position();
+            const [buttonWidth, buttonHeight] = panelButton.get_transformed_size();
+            monitorIndex = Main.layoutManager.findIndexForActor(panelButton);
+            position = { x: buttonX + buttonWidth / 2 - width / 2, y: buttonY + buttonHeight };
+        } else if (mode === 'window' && global.display.focus_window) {
+            const window = global.display.focus_window;
+            const rect = window.get_frame_rect();
+            monitorIndex = window.get_monitor();
+            position = { x: rect.x + (rect.width - width) / 2, y: rect.y + (rect.height - height) / 2 };
+        }
+
+        const monitor = Main.layoutManager.monitors[monitorIndex] ?? Main.layoutManager.primaryMonitor;
+        const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+
+        if (mode === 'last') {
+            const saved = this.#positions.get(getMonitorKey(monitor));
+            if (Number.isFinite(saved?.x) && Number.isFinite(saved?.y)) {
+                position = { x: workArea.x + saved.x, y: workArea.y + saved.y };
+            }
+        }
+
+        if (!position) {
+            position = {
+                x: workArea.x + (workArea.width - width) / 2,
+                y: workArea.y + (workArea.height - height) / 2,
+            };
+        }
+
+        return this.#clampToWorkArea(position, width, height, workArea);
+    }
+
+    /**
+     * Remember where the popup was dragged, for the monitor it is on
+     * Settings are only written when the position changed.
+     *
+     * @param {Clutter.Actor} popup
+     */
+    rememberPosition(popup) {
+        const monitor = Main.layoutManager.monitors[Main.layoutManager.findIndexForActor(popup)];
+        if (!monitor) {
+            return;
+        }
+
+        const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+        const [x, y] = popup.get_position();
+        const position = this.#clampToWorkArea({ x, y }, popup.width, popup.height, workArea);
+
+        const key = getMonitorKey(monitor);
+        const relative = { x: position.x - workArea.x, y: position.y - workArea.y };
+        const saved = this.#positions.get(key);
+        if (saved?.x === relative.x && saved?.y === relative.y) {
+            return;
+        }
+
+        this.#positions.set(key, relative);
+        this.savePositions();
+    }
+
+    /**
+     * Keep a popup of the given size inside a work area
+     * A popup larger than the work area is aligned to its top left corner.
+     *
+     * @param {{x: number, y: number}} position
+     * @param {number} width
+     * @param {number} height
+     * @param {Mtk.Rectangle} workArea
+     * @returns {{x: number, y: number}}
+     */
+    #clampToWorkArea(position, width, height, workArea) {
+        const maxX = workArea.x + workArea.width - width;
+        const maxY = workArea.y + workArea.height - height;
+        return {
+            x: Math.round(Math.max(workArea.x, Math.min(maxX, position.x))),
+            y: Math.round(Math.max(workArea.y, Math.min(maxY, position.y))),
+        };
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.#positions.clear();
+        this.#settings = null;
+    }
+}
@@ -7,13 +7,21 @@
  * @license    GPL-3.0-only
  */
 
-import { POPUP_SIZE_MODES, CUSTOM_SIZE_LIMITS } from './constants.js';
+import Gio from 'gi://Gio';
+import St from 'gi://St';
+import { POPUP_SIZE_MODES, CUSTOM_SIZE_LIMITS, PREVIEW_MIN_HEIGHT, EMOJI_SIZE_LIMITS, EMOJI_CELL_PADDING } from './constants.js';
+
+// Left + right padding of .emoji-grid in stylesheet.css
+const GRID_HORIZONTAL_PADDING = 20;
 
 export class PopupSizeManager {
     #settings;
+    #interfaceSettings;
     #onSizeChangeCallback;
-    #currentMode;
+    #currentDimensions;
     #settingsChangedId;
+    #interfaceChangedId;
+    #scaleFactorChangedId;
 
     /**
      * @param {Gio.Settings} settings - GSettings instance
@@ -22,41 +30,55 @@ export class PopupSizeManager {
     constructor(settings, onSizeChangeCallback = null) {
         this.#settings = settings;
         this.#onSizeChangeCallback = onSizeChangeCallback;
-        this.#currentMode = settings.get_string('popup-size-mode') || 'default';
+        this.#interfaceSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.interface' });
+        this.#currentDimensions = this.getDimensions();
 
         // Listen for settings changes
         this.#settingsChangedId = settings.connect('changed', (_, key) => {
-            if (key === 'popup-size-mode' || key === 'popup-width' || key === 'popup-height') {
+            if (key === 'popup-size-mode' || key === 'popup-width' || key === 'popup-height' || key === 'emoji-size') {
                 this.#onSettingChanged();
             }
         });
+
+        // Emojis per row depend on the text and monitor scale too
+        this.#interfaceChangedId = this.#interfaceSettings.connect('changed::text-scaling-factor', () => {
+            this.#onSettingChanged();
+        });
+        this.#scaleFactorChangedId = St.ThemeContext.get_for_stage(global.stage).connect('notify::scale-factor', () => {
+            this.#onSettingChanged();
+        });
     }
 
     /**
      * Handle settings change
      */
     #onSettingChanged() {
-        const newMode = this.#settings.get_string('popup-size-mode') || 'default';
-        if (newMode !== this.#currentMode) {
-            this.#currentMode = newMode;
+        const dimensions = this.getDimensions();
+        const changed = Object.keys(dimensions).some(key => dimensions[key] !== this.#currentDimensions[key]);
+        if (changed) {
+            this.#currentDimensions = dimensions;
             if (this.#onSizeChangeCallback) {
-                this.#onSizeChangeCallback(this.getDimensions());
+                this.#onSizeChangeCallback(dimensions);
             }
         }
     }
 
     /**
      * Get current popup dimensions
-     * @returns {{width: number, height: number, emojisPerRow: number}}
+     * @returns {{width: number, height: number, emojisPerRow: number, emojiSize: number, cellSize: number, showPreview: boolean}}
      */
     getDimensions() {
         const mode = this.#settings.get_string('popup-size-mode') || 'default';
+        const { emojiSize, cellSize } = this.getEmojiSize();
 
         if (mode === 'custom') {
             return {
                 width: this.#settings.get_int('popup-width'),
                 height: this.#settings.get_int('popup-height'),
-                emojisPerRow: this.#calculateEmojisPerRow(this.#settings.get_int('popup-width'))
+                emojisPerRow: this.#calculateEmojisPerRow(this.#settings.get_int('popup-width'), cellSize),
+                emojiSize,
+                cellSize,
+                showPreview: this.#settings.get_int('popup-height') >= PREVIEW_MIN_HEIGHT
             };
         }
 
@@ -64,21 +86,56 @@ export class PopupSizeManager {
         return {
             width: preset.width,
             height: preset.height,
-            emojisPerRow: preset.emojisPerRow
+            emojisPerRow: this.#calculateEmojisPerRow(preset.width, cellSize),
+            emojiSize,
+            cellSize,
+            showPreview: preset.showPreview
         };
     }
 
+    /**
+     * Get the glyph and button size of emojis
+     * The emoji-size setting is scaled by the text-scaling-factor, like text
+     * in the rest of the shell.
+     *
+     * @returns {{emojiSize: number, cellSize: number}} CSS pixels (St applies the monitor scale factor)
+     */
+    getEmojiSize() {
+        const size = Math.max(EMOJI_SIZE_LIMITS.min, Math.min(EMOJI_SIZE_LIMITS.max, this.#settings.get_int('emoji-size')));
+        const emojiSize = Math.round(size * this.#interfaceSettings.get_double('text-scaling-factor'));
+        return { emojiSize, cellSize: emojiSize + EMOJI_CELL_PADDING };
+    }
+
+    /**
+     * Zoom emojis in or out, persisted in emoji-size
+     *
+     * @param {number} steps - Positive zooms in, negative zooms out
+     */
+    zoom(steps) {
+        const size = this.#settings.get_int('emoji-size') + steps * EMOJI_SIZE_LIMITS.step;
+        this.#settings.set_int('emoji-size', Math.max(EMOJI_SIZE_LIMITS.min, Math.min(EMOJI_SIZE_LIMITS.max, size)));
+    }
+
+    /**
+     * Reset the zoom to the default emoji size
+     */
+    resetZoom() {
+        this.#settings.reset('emoji-size');
+    }
+
     /**
      * Calculate emojis per row based on width
+     * Popup sizes are in actor pixels, while button sizes are CSS pixels
+     * that St multiplies by the monitor scale factor.
+     *
      * @param {number} width - Popup width in pixels
+     * @param {number} cellSize - Button size in CSS pixels
      * @returns {number} - Number of emojis per row
      */
-    #calculateEmojisPerRow(width) {
-        // Approximate: 40px per emoji button + 4px gap
-        const emojiButtonWidth = 44;
-        const containerPadding = 16;
-        const availableWidth = width - containerPadding;
-        return Math.max(6, Math.floor(availableWidth / emojiButtonWidth));
+    #calculateEmojisPerRow(width, cellSize) {
+        const scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+        const availableWidth = width - GRID_HORIZONTAL_PADDING * scaleFactor;
+        return Math.max(1, Math.floor(availableWidth / (cellSize * scaleFactor)));
     }
 
     /**
@@ -88,13 +145,15 @@ export class PopupSizeManager {
     getAvailableModes() {
         const modes = [];
         
+        const { cellSize } = this.getEmojiSize();
+
         for (const [key, preset] of Object.entries(POPUP_SIZE_MODES)) {
             modes.push({
                 mode: key,
                 label: preset.label,
                 width: preset.width,
                 height: preset.height,
-                emojisPerRow: preset.emojisPerRow
+                emojisPerRow: this.#calculateEmojisPerRow(preset.width, cellSize)
             });
         }
 
@@ -103,7 +162,7 @@ export class PopupSizeManager {
             label: 'Custom',
             width: this.#settings.get_int('popup-width'),
             height: this.#settings.get_int('popup-height'),
-            emojisPerRow: this.#calculateEmojisPerRow(this.#settings.get_int('popup-width'))
+            emojisPerRow: this.#calculateEmojisPerRow(this.#settings.get_int('popup-width'), cellSize)
         });
 
         return modes;
@@ -168,6 +227,15 @@ export class PopupSizeManager {
             this.#settings.disconnect(this.#settingsChangedId);
             this.#settingsChangedId = 0;
         }
+        if (this.#interfaceChangedId) {
+            this.#interfaceSettings.disconnect(this.#interfaceChangedId);
+            this.#interfaceChangedId = 0;
+        }
+        if (this.#scaleFactorChangedId) {
+            St.ThemeContext.get_for_stage(global.stage).disconnect(this.#scaleFactorChangedId);
+            this.#scaleFactorChangedId = 0;
+        }
+        this.#interfaceSettings = null;
         this.#settings = null;
         this.#onSizeChangeCallback = null;
     }
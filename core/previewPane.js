@@ -0,0 +1,129 @@
+/**
+ * Preview Pane
+ * Shows details of the hovered or focused emoji under the grid
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import Clutter from 'gi://Clutter';
+import Pango from 'gi://Pango';
+import St from 'gi://St';
+import { formatEmoji } from './clipboardManager.js';
+import { getDisplayName } from './emojiData.js';
+
+export class PreviewPane {
+    #pane;
+    #glyphLabel;
+    #nameLabel;
+    #shortcodesLabel;
+    #detailsLabel;
+
+    constructor() {
+        this.#pane = null;
+        this.#glyphLabel = null;
+        this.#nameLabel = null;
+        this.#shortcodesLabel = null;
+        this.#detailsLabel = null;
+    }
+
+    /**
+     * Build the pane
+     *
+     * @returns {St.BoxLayout}
+     */
+    build() {
+        this.#pane = new St.BoxLayout({
+            style_class: 'emoji-preview-pane',
+            x_expand: true,
+        });
+
+        this.#glyphLabel = new St.Label({
+            style_class: 'emoji-preview-glyph',
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this.#pane.add_child(this.#glyphLabel);
+
+        const infoBox = new St.BoxLayout({
+            vertical: true,
+            x_expand: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+
+        this.#nameLabel = new St.Label({ style_class: 'emoji-preview-name' });
+        this.#shortcodesLabel = new St.Label({ style_class: 'emoji-preview-shortcodes' });
+        this.#detailsLabel = new St.Label({ style_class: 'emoji-preview-details' });
+
+        for (const label of [this.#nameLabel, this.#shortcodesLabel, this.#detailsLabel]) {
+            label.clutter_text.ellipsize = Pango.EllipsizeMode.END;
+            infoBox.add_child(label);
+        }
+        this.#pane.add_child(infoBox);
+
+        this.#pane.connect('destroy', () => {
+            this.#pane = null;
+            this.#glyphLabel = null;
+            this.#nameLabel = null;
+            this.#shortcodesLabel = null;
+            this.#detailsLabel = null;
+        });
+
+        this.clear();
+        return this.#pane;
+    }
+
+    /**
+     * Show an emoji
+     *
+     * @param {object} item - Dataset entry
+     * @param {string} emoji - Displayed text (may be a skin tone variant of item.emoji)
+     */
+    show(item, emoji = item.emoji) {
+        if (!this.#pane) {
+            return;
+        }
+
+        this.#glyphLabel.text = emoji;
+        this.#nameLabel.text = getDisplayName(item);
+        this.#shortcodesLabel.text = (item.aliases ?? []).map(alias => `:${alias}:`).join(' ');
+        this.#shortcodesLabel.visible = this.#shortcodesLabel.text.length > 0;
+
+        const details = [formatEmoji(emoji, 'codepoint')];
+        if (item.category) {
+            details.push(item.category);
+        }
+        if (item.unicode_version) {
+            details.push(`Unicode ${item.unicode_version}`);
+        }
+        if (item.unsupported) {
+            details.push('Not supported by installed fonts');
+        }
+        if (item.tags?.length) {
+            details.push(item.tags.join(', '));
+        }
+        this.#detailsLabel.text = details.join(' · ');
+    }
+
+    /**
+     * Show the placeholder
+     */
+    clear() {
+        if (!this.#pane) {
+            return;
+        }
+
+        this.#glyphLabel.text = '';
+        this.#nameLabel.text = 'Hover or focus an emoji for details';
+        this.#shortcodesLabel.text = '';
+        this.#shortcodesLabel.visible = false;
+        this.#detailsLabel.text = '';
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.#pane?.destroy();
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Reaction Manager
+ * Handles the reaction quick bar and its Alt+1…Alt+8 shortcuts
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import Clutter from 'gi://Clutter';
+import St from 'gi://St';
+import { REACTIONS_MAX } from './constants.js';
+
+export class ReactionManager {
+    #settings;
+    #onReactionSelectedCallback;
+
+    /**
+     * @param {Gio.Settings} settings
+     * @param {Function} onReactionSelectedCallback - Called with the reaction emoji
+     */
+    constructor(settings, onReactionSelectedCallback) {
+        this.#settings = settings;
+        this.#onReactionSelectedCallback = onReactionSelectedCallback;
+    }
+
+    /**
+     * Check if the reaction bar is enabled
+     *
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.#settings.get_boolean('reactions-enabled');
+    }
+
+    /**
+     * Get the configured reactions, in bar order
+     *
+     * @returns {Array<string>}
+     */
+    getReactions() {
+        return this.#settings.get_strv('reaction-emojis')
+            .filter(emoji => emoji)
+            .slice(0, REACTIONS_MAX);
+    }
+
+    /**
+     * Build the reaction bar
+     *
+     * @returns {St.BoxLayout}
+     */
+    buildReactionBar() {
+        const reactionBox = new St.BoxLayout({
+            style_class: 'emoji-reaction-bar',
+            x_expand: true,
+        });
+
+        this.getReactions().forEach((emoji, index) => {
+            const button = new St.Button({
+                style_class: 'emoji-reaction-button',
+                label: emoji,
+                can_focus: true,
+                track_hover: true,
+            });
+
+            button.set_accessible_name(`Reaction ${emoji}, Alt+${index + 1}`);
+            button.connect('clicked', () => this.#selectReaction(index));
+
+            reactionBox.add_child(button);
+        });
+
+        return reactionBox;
+    }
+
+    /**
+     * Insert a reaction for Alt+1…Alt+8
+     * Meant for the popup's captured-event handler, so the shortcut works
+     * wherever the focus is, including the search entry.
+     *
+     * @param {Clutter.Event} event - Key press event
+     * @returns {boolean} Clutter.EVENT_STOP if the event was handled
+     */
+    handleKeyPress(event) {
+        if (!this.isEnabled()) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const state = event.get_state();
+        const otherModifiers = Clutter.ModifierType.CONTROL_MASK |
+            Clutter.ModifierType.SHIFT_MASK |
+            Clutter.ModifierType.SUPER_MASK;
+        if (!(state & Clutter.ModifierType.MOD1_MASK) || (state & otherModifiers)) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const index = event.get_key_symbol() - Clutter.KEY_1;
+        if (index < 0 || index >= REACTIONS_MAX || index >= this.getReactions().length) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        this.#selectReaction(index);
+        return Clutter.EVENT_STOP;
+    }
+
+    /**
+     * Notify about a selected reaction
+     *
+     * @param {number} index - Position in the bar
+     */
+    #selectReaction(index) {
+        const emoji = this.getReactions()[index];
+        if (emoji && this.#onReactionSelectedCallback) {
+            this.#onReactionSelectedCallback(emoji);
+        }
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.#settings = null;
+        this.#onReactionSelectedCallback = null;
+    }
+}
@@ -8,21 +8,450 @@
  */
 
 import GLib from 'gi://GLib';
-import { MAX_VISIBLE_EMOJIS, SEARCH_DEBOUNCE_MS } from './constants.js';
+import {
+    MAX_VISIBLE_EMOJIS,
+    SEARCH_DEBOUNCE_MS,
+    SEARCH_SCORES,
+    FUZZY_MIN_QUERY_LENGTH
+} from './constants.js';
+import { getSearchIndex, splitSearchWords, parseVersion, compareVersions } from './emojiData.js';
+
+const NON_WORD_CHAR = /[^\p{L}\p{M}\p{N}]/u;
+const QUERY_TOKEN = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+const OPERATOR_TOKEN = /^([a-z]+):(.*)$/;
+const VERSION_FILTER = /^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)$/;
+
+// Filter operators: cat:/in: category, v: unicode version, is: collection
+const CATEGORY_OPERATORS = ['cat', 'in'];
+const COLLECTIONS = ['used', 'new'];
+
+/**
+ * Parse a filter operator token such as cat:food, v:<=12.0 or is:used
+ *
+ * @param {string} operator
+ * @param {string} value
+ * @returns {{filter: object|null, error: string|null}}
+ */
+function parseFilter(operator, value) {
+    if (CATEGORY_OPERATORS.includes(operator)) {
+        return { filter: { operator: 'cat', value }, error: null };
+    }
+
+    if (operator === 'v') {
+        const match = value.match(VERSION_FILTER);
+        if (!match) {
+            return { filter: null, error: `Invalid version "v:${value}" (try v:<=12.0)` };
+        }
+        return {
+            filter: { operator: 'v', comparison: match[1] || '=', version: parseVersion(match[2]) },
+            error: null,
+        };
+    }
+
+    if (operator === 'is') {
+        if (!COLLECTIONS.includes(value)) {
+            return { filter: null, error: `Unknown collection "is:${value}" (try ${COLLECTIONS.map(c => `is:${c}`).join(', ')})` };
+        }
+        return { filter: { operator: 'is', value }, error: null };
+    }
+
+    return { filter: null, error: `Unknown filter "${operator}:" (try cat:, in:, v: or is:)` };
+}
+
+/**
+ * Split a query into terms and filters
+ * Terms are ANDed; "quoted text" is an exact phrase and a leading
+ * minus excludes emojis matching the term or filter. Filters use
+ * operator:value tokens; invalid ones are reported in errors and searched
+ * for as plain text, like tokens whose operator is unknown (smile:, foo:bar).
+ *
+ * @param {string} query - Lowercase query
+ * @returns {{include: Array<{text: string, phrase: boolean}>, exclude: Array<{text: string, phrase: boolean}>, filters: Array<object>, errors: Array<string>}}
+ */
+export function parseSearchQuery(query) {
+    const parsed = { include: [], exclude: [], filters: [], errors: [] };
+
+    for (const match of query.matchAll(QUERY_TOKEN)) {
+        const phrase = match[2] !== undefined;
+        const negated = (phrase ? match[1] : match[3]) === '-';
+        let text = (phrase ? match[2] : match[4]).trim();
+        if (!text) {
+            continue;
+        }
+
+        const operatorMatch = phrase ? null : text.match(OPERATOR_TOKEN);
+        if (operatorMatch) {
+            const [, operator, value] = operatorMatch;
+            const known = CATEGORY_OPERATORS.includes(operator) || operator === 'v' || operator === 'is';
+            if (known && !value) {
+                // Still being typed
+                continue;
+            }
+
+            if (value) {
+                const { filter, error } = parseFilter(operator, value);
+                if (!error) {
+                    parsed.filters.push({ ...filter, negated });
+                    continue;
+                }
+                parsed.errors.push(error);
+            }
+        }
+
+        // Allow :shortcode: style terms
+        if (!phrase) {
+            text = text.replace(/^:+|:+$/g, '');
+            if (!text) {
+                continue;
+            }
+        }
+
+        (negated ? parsed.exclude : parsed.include).push({ text, phrase });
+    }
+
+    return parsed;
+}
+
+/**
+ * Check if an emoji passes a filter
+ *
+ * @param {object} item
+ * @param {object} fields - Normalized fields from the search index
+ * @param {object} filter - From parseSearchQuery()
+ * @param {{usageTracker: UsageTracker|null, newestVersion: Array<number>|null}} context
+ * @returns {boolean}
+ */
+function matchesFilter(item, fields, filter, context) {
+    let matches = false;
+
+    if (filter.operator === 'cat') {
+        matches = matchesAtWordStart(fields.category, filter.value);
+    } else if (filter.operator === 'v') {
+        if (fields.version) {
+            const diff = filter.comparison === '='
+                ? compareVersions(fields.version.slice(0, filter.version.length), filter.version)
+                : compareVersions(fields.version, filter.version);
+            matches = {
+                '=': diff === 0,
+                '<': diff < 0,
+                '<=': diff <= 0,
+                '>': diff > 0,
+                '>=': diff >= 0,
+            }[filter.comparison];
+        }
+    } else if (filter.operator === 'is') {
+        if (filter.value === 'used') {
+            matches = (context.usageTracker?.getTotalCount(item) ?? 0) > 0;
+        } else if (filter.value === 'new') {
+            matches = !!(fields.version && context.newestVersion &&
+                compareVersions(fields.version, context.newestVersion) === 0);
+        }
+    }
+
+    return filter.negated ? !matches : matches;
+}
+
+/**
+ * Check if a term occurs in text starting at a word boundary
+ *
+ * @param {string} text
+ * @param {string} term
+ * @param {boolean} wholeWord - Also require a word boundary after the term
+ * @returns {boolean}
+ */
+function matchesAtWordStart(text, term, wholeWord = false) {
+    let index = text.indexOf(term);
+    while (index !== -1) {
+        const end = index + term.length;
+        const startsWord = index === 0 || NON_WORD_CHAR.test(text[index - 1]);
+        const endsWord = end === text.length || NON_WORD_CHAR.test(text[end]);
+        if (startsWord && (!wholeWord || endsWord)) {
+            return true;
+        }
+        index = text.indexOf(term, index + 1);
+    }
+    return false;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Get the number of typos tolerated for a query
+ *
+ * @param {string} query
+ * @returns {number}
+ */
+function maxTypos(query) {
+    if (query.length < FUZZY_MIN_QUERY_LENGTH) {
+        return 0;
+    }
+    return query.length >= 6 ? 2 : 1;
+}
+
+/**
+ * Find index tokens within typo distance of a term
+ * Only the bucket of sorted tokens sharing the term's first letter is
+ * compared (a typo in the first letter is not tolerated), and only tokens
+ * within typo distance in length are compared whole. Longer tokens are
+ * compared on their prefix of the term's length, so partially typed words
+ * with a typo still match; tokens sharing that prefix are adjacent in the
+ * sorted list, so it is measured once per prefix.
+ *
+ * @param {EmojiSearchIndex} index
+ * @param {string} text - Term text
+ * @returns {Map<string, number>} - Token to edit distance
+ */
+function findFuzzyTokens(index, text) {
+    const tokens = new Map();
+    const typos = maxTypos(text);
+    if (typos === 0) {
+        return tokens;
+    }
+
+    const sortedTokens = index.getTokens();
+    const [start, end] = index.getTokenRange(text[0]);
+    let prefix = null;
+    let prefixDistance = Infinity;
+
+    for (let i = start; i < end; i++) {
+        const token = sortedTokens[i];
+        if (token.length + typos < text.length) {
+            continue;
+        }
+
+        let distance = token.length <= text.length + typos ? editDistance(text, token) : Infinity;
+        if (token.length > text.length) {
+            if (prefix === null || !token.startsWith(prefix)) {
+                prefix = token.slice(0, text.length);
+                prefixDistance = editDistance(text, prefix);
+            }
+            distance = Math.min(distance, prefixDistance);
+        }
+        if (distance <= typos) {
+            tokens.set(token, distance);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Find the closest typo match of a term among an emoji's words
+ * Fewer typos win, then name words over tag words, then words closer to
+ * the term in length (thumsb is closer to thumbs than to thumb).
+ *
+ * @param {object} fields - Normalized fields from the search index
+ * @param {string} text - Term text
+ * @param {Map<string, number>} fuzzyTokens - From findFuzzyTokens()
+ * @returns {{distance: number, field: number, lengthDelta: number}|null} - field is 0 for names, 1 for tags
+ */
+function findFuzzyMatch(fields, text, fuzzyTokens) {
+    let best = null;
+    fields.words.forEach((word, i) => {
+        const distance = fuzzyTokens.get(word);
+        if (distance === undefined) {
+            return;
+        }
+
+        const match = {
+            distance,
+            field: i < fields.nameWordCount ? 0 : 1,
+            lengthDelta: Math.abs(word.length - text.length),
+        };
+        if (!best || compareFuzzyMatches(match, best) < 0) {
+            best = match;
+        }
+    });
+    return best;
+}
+
+/**
+ * Order typo matches, closest first
+ *
+ * @param {{distance: number, field: number, lengthDelta: number}} a
+ * @param {{distance: number, field: number, lengthDelta: number}} b
+ * @returns {number}
+ */
+function compareFuzzyMatches(a, b) {
+    return a.distance - b.distance || a.field - b.field || a.lengthDelta - b.lengthDelta;
+}
+
+/**
+ * Find entries that may match a term, using the index instead of a scan
+ * This is a superset of the real matches; scoreTerm() decides.
+ *
+ * @param {EmojiSearchIndex} index
+ * @param {{text: string, phrase: boolean}} term
+ * @param {Map<string, number>} fuzzyTokens - From findFuzzyTokens()
+ * @returns {Set<number>}
+ */
+function findCandidates(index, term, fuzzyTokens) {
+    let candidates = null;
+    for (const word of splitSearchWords(term.text)) {
+        const entries = index.findPrefix(word);
+        candidates = candidates
+            ? new Set([...candidates].filter(entry => entries.has(entry)))
+            : entries;
+    }
+    // Punctuation-only terms such as + have no words to look up
+    candidates = candidates || new Set(Array.from({ length: index.size }, (_, i) => i));
+
+    const emojiIndex = index.findEmoji(term.text);
+    if (emojiIndex !== -1) {
+        candidates.add(emojiIndex);
+    }
+
+    for (const token of fuzzyTokens.keys()) {
+        for (const entry of index.getTokenEntries(token)) {
+            candidates.add(entry);
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Score a single term against an emoji (0 = no match)
+ *
+ * @param {object} fields - Normalized fields from the search index
+ * @param {{text: string, phrase: boolean}} term
+ * @param {Map<string, number>} fuzzyTokens - From findFuzzyTokens()
+ * @returns {number}
+ */
+function scoreTerm(fields, term, fuzzyTokens) {
+    const { text, phrase } = term;
+    const names = fields.names;
+
+    if (fields.emoji === text || names.includes(text)) {
+        return SEARCH_SCORES.exact;
+    }
+
+    if (names.some(name => matchesAtWordStart(name, text, true))) {
+        return SEARCH_SCORES.word;
+    }
+
+    if (!phrase && names.some(name => matchesAtWordStart(name, text))) {
+        return SEARCH_SCORES.wordPrefix;
+    }
+
+    if (fields.tags.some(tag => matchesAtWordStart(tag, text, phrase))) {
+        return SEARCH_SCORES.tag;
+    }
+
+    const fuzzy = findFuzzyMatch(fields, text, fuzzyTokens);
+    if (fuzzy) {
+        return SEARCH_SCORES.fuzzy - fuzzy.distance;
+    }
+
+    // Terms with punctuation (c++, foo:bar) that match nowhere literally
+    // fall back to their words
+    const words = splitSearchWords(text);
+    if (!phrase && words.length > 0 && words.join(' ') !== text &&
+        words.every(word => fields.words.some(fieldWord => fieldWord.startsWith(word)))) {
+        return SEARCH_SCORES.fuzzy - maxTypos(text) - 1;
+    }
+
+    return 0;
+}
+
+/**
+ * Score how well an emoji matches a parsed query (score 0 = no match)
+ * Every included term must match; the term scores are summed. The typo
+ * matches of the terms are summed as well, to break ties between equal scores.
+ *
+ * @param {object} fields - Normalized fields from the search index
+ * @param {{include: Array<object>, exclude: Array<object>}} parsed - From parseSearchQuery()
+ * @param {Array<Map<string, number>>} fuzzyTokens - Per included term, from findFuzzyTokens()
+ * @returns {{score: number, fuzzy: {distance: number, field: number, lengthDelta: number}}}
+ */
+function scoreEmoji(fields, parsed, fuzzyTokens) {
+    const names = [...fields.names, ...fields.tags];
+    const fuzzy = { distance: 0, field: 0, lengthDelta: 0 };
+
+    for (const term of parsed.exclude) {
+        if (names.some(name => matchesAtWordStart(name, term.text, term.phrase))) {
+            return { score: 0, fuzzy };
+        }
+    }
+
+    if (parsed.include.length === 0) {
+        return { score: 1, fuzzy };
+    }
+
+    let total = 0;
+    for (const [i, term] of parsed.include.entries()) {
+        const score = scoreTerm(fields, term, fuzzyTokens[i]);
+        if (score === 0) {
+            return { score: 0, fuzzy };
+        }
+        total += score;
+
+        // Scores at or below fuzzy mean no literal match, so this is the typo match scored
+        const match = score <= SEARCH_SCORES.fuzzy ? findFuzzyMatch(fields, term.text, fuzzyTokens[i]) : null;
+        if (match) {
+            fuzzy.distance += match.distance;
+            fuzzy.field += match.field;
+            fuzzy.lengthDelta += match.lengthDelta;
+        }
+    }
+
+    // Several terms that together spell out the name rank like an exact alias
+    if (parsed.include.length > 1) {
+        const phrase = parsed.include.map(term => term.text).join(' ');
+        if (fields.names.includes(phrase)) {
+            total += SEARCH_SCORES.exact;
+        }
+    }
+
+    return { score: total, fuzzy };
+}
 
 export class SearchManager {
     #searchEntry;
     #searchTimeoutId;
     #onSearchCallback;
+    #usageTracker;
+    #hints;
 
     /**
      * @param {St.Entry} searchEntry
      * @param {Function} onSearchCallback - Called when search should be performed
+     * @param {UsageTracker|null} usageTracker - Used to rank equally good matches
      */
-    constructor(searchEntry, onSearchCallback) {
+    constructor(searchEntry, onSearchCallback, usageTracker = null) {
         this.#searchEntry = searchEntry;
         this.#onSearchCallback = onSearchCallback;
+        this.#usageTracker = usageTracker;
         this.#searchTimeoutId = 0;
+        this.#hints = [];
 
         this.#setupSearchEntry();
     }
@@ -132,36 +561,90 @@ export class SearchManager {
 
     /**
      * Filter emoji data based on query
+     * The query is split into terms (see parseSearchQuery) matched on word
+     * boundaries. Results are ranked: exact alias, whole word, word prefix, tag,
+     * then typo-tolerant matches. Ties are broken by usage count, then for typo
+     * matches by name before tag, fewer typos and closer word length, then
+     * dataset order.
+     * Filter tokens (cat:, in:, v:, is:) narrow the results; problems with them
+     * are available from getHints() afterwards.
      *
      * @param {string} query
      * @param {Array<object>} emojiData
      * @returns {Array<object>}
      */
     filterEmojis(query, emojiData) {
+        this.#hints = [];
         if (!query) {
             return emojiData;
         }
 
-        const results = [];
-        for (const item of emojiData) {
-            const fields = [
-                item.emoji,
-                item.description,
-                ...(item.aliases || []),
-                ...(item.tags || []),
-            ]
-                .filter(Boolean)
-                .join(' ')
-                .toLowerCase();
-
-            if (fields.includes(query)) {
-                results.push(item);
-                if (results.length >= MAX_VISIBLE_EMOJIS) {
-                    break;
-                }
+        const parsed = parseSearchQuery(query);
+        this.#hints = [...parsed.errors];
+
+        const index = getSearchIndex(emojiData);
+        const categories = [...index.getCategories()];
+        for (const filter of parsed.filters) {
+            if (filter.operator === 'cat' &&
+                !categories.some(category => matchesAtWordStart(category, filter.value))) {
+                this.#hints.push(`No category matches "${filter.value}"`);
+            }
+        }
+
+        if (parsed.include.length === 0 && parsed.exclude.length === 0 && parsed.filters.length === 0) {
+            return emojiData.slice(0, MAX_VISIBLE_EMOJIS);
+        }
+
+        // Narrow down to entries matching every term through the index
+        const fuzzyTokens = parsed.include.map(term => (term.phrase ? new Map() : findFuzzyTokens(index, term.text)));
+        let candidates = null;
+        for (const [i, term] of parsed.include.entries()) {
+            const termCandidates = findCandidates(index, term, fuzzyTokens[i]);
+            candidates = candidates
+                ? new Set([...candidates].filter(entry => termCandidates.has(entry)))
+                : termCandidates;
+        }
+        if (!candidates) {
+            // Only exclusions and filters: every entry is a candidate
+            candidates = Array.from({ length: index.size }, (_, i) => i);
+        }
+
+        const context = {
+            usageTracker: this.#usageTracker,
+            newestVersion: index.getNewestVersion(),
+        };
+
+        const matches = [];
+        for (const entryIndex of candidates) {
+            const item = index.getEntry(entryIndex);
+            const fields = index.getFields(entryIndex);
+            if (!parsed.filters.every(filter => matchesFilter(item, fields, filter, context))) {
+                continue;
+            }
+
+            const { score, fuzzy } = scoreEmoji(fields, parsed, fuzzyTokens);
+            if (score > 0) {
+                const usage = this.#usageTracker ? this.#usageTracker.getTotalCount(item) : 0;
+                matches.push({ item, score, fuzzy, usage, index: entryIndex });
             }
         }
-        return results;
+
+        matches.sort((a, b) => b.score - a.score || b.usage - a.usage ||
+            a.fuzzy.field - b.fuzzy.field || a.fuzzy.distance - b.fuzzy.distance ||
+            a.fuzzy.lengthDelta - b.fuzzy.lengthDelta || a.index - b.index);
+
+        return matches
+            .slice(0, MAX_VISIBLE_EMOJIS)
+            .map(match => match.item);
+    }
+
+    /**
+     * Get hints about the last filtered query (e.g. unknown operators)
+     *
+     * @returns {Array<string>}
+     */
+    getHints() {
+        return this.#hints;
     }
 
     /**
@@ -0,0 +1,364 @@
+/**
+ * Skin Tone Manager
+ * Handles the skin tone selector and tone variants of emojis
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import GLib from 'gi://GLib';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { SKIN_TONES, SKIN_TONE_SAMPLE } from './constants.js';
+
+const VARIATION_SELECTOR_16 = '\uFE0F';
+const ZERO_WIDTH_JOINER = '\u200D';
+const PEOPLE_HOLDING_HANDS = '\u{1F9D1}\u200D\u{1F91D}\u200D\u{1F9D1}';
+
+/**
+ * Apply a skin tone modifier to an emoji
+ * Follows the gemoji rules: the modifier goes before the first ZWJ,
+ * or at the end for single-person emojis.
+ *
+ * @param {string} emoji - Base emoji
+ * @param {string} modifier - Skin tone modifier ('' keeps the base emoji)
+ * @returns {string}
+ */
+export function applySkinTone(emoji, modifier) {
+    if (!modifier) {
+        return emoji;
+    }
+
+    const normalized = emoji.replace(VARIATION_SELECTOR_16, '');
+    const joinerIndex = normalized.indexOf(ZERO_WIDTH_JOINER);
+
+    if (normalized === PEOPLE_HOLDING_HANDS) {
+        // Special case: tone both persons
+        return normalized.slice(0, joinerIndex) + modifier + normalized.slice(joinerIndex) + modifier;
+    }
+
+    if (joinerIndex !== -1) {
+        return normalized.slice(0, joinerIndex) + modifier + normalized.slice(joinerIndex);
+    }
+
+    return normalized + modifier;
+}
+
+/**
+ * Get all toned variants of an emoji (excluding the base emoji)
+ *
+ * @param {string} emoji - Base emoji
+ * @returns {Array<string>}
+ */
+export function getSkinToneVariants(emoji) {
+    return SKIN_TONES
+        .filter(tone => tone.modifier)
+        .map(tone => applySkinTone(emoji, tone.modifier));
+}
+
+/**
+ * Map emoji text to dataset entries, including every skin tone variant
+ * Variant entries are already toned, so they have skin_tones turned off.
+ *
+ * @param {Array<object>} emojiData
+ * @returns {Map<string, object>}
+ */
+export function createToneLookup(emojiData) {
+    const lookup = new Map();
+    for (const entry of emojiData) {
+        lookup.set(entry.emoji, entry);
+        if (entry.skin_tones) {
+            for (const variant of getSkinToneVariants(entry.emoji)) {
+                lookup.set(variant, { ...entry, emoji: variant, skin_tones: false });
+            }
+        }
+    }
+    return lookup;
+}
+
+export class SkinToneManager {
+    #settings;
+    #onToneChangedCallback;
+    #toneButtons;
+    #emojiTones;
+    #tonePopover;
+    #tonePopoverManager;
+
+    /**
+     * @param {Gio.Settings} settings
+     * @param {Function} onToneChangedCallback - Called when the selected tone changes
+     */
+    constructor(settings, onToneChangedCallback) {
+        this.#settings = settings;
+        this.#onToneChangedCallback = onToneChangedCallback;
+        this.#toneButtons = new Map();
+        this.#emojiTones = new Map();
+        this.#tonePopover = null;
+        // One manager for every popover, so none is left behind per open
+        this.#tonePopoverManager = new PopupMenu.PopupMenuManager(Main.uiGroup);
+        this.loadEmojiTones();
+    }
+
+    /**
+     * Load per-emoji tones from settings
+     */
+    loadEmojiTones() {
+        try {
+            const json = this.#settings.get_string('skin-tone-overrides');
+            if (json) {
+                const data = JSON.parse(json);
+                this.#emojiTones = new Map(Object.entries(data));
+            }
+        } catch (error) {
+            log('emoji-picker: failed to load skin tone overrides');
+            this.#emojiTones = new Map();
+        }
+    }
+
+    /**
+     * Save per-emoji tones to settings
+     */
+    saveEmojiTones() {
+        try {
+            const json = JSON.stringify(Object.fromEntries(this.#emojiTones));
+            this.#settings.set_string('skin-tone-overrides', json);
+        } catch (error) {
+            log('emoji-picker: failed to save skin tone overrides');
+        }
+    }
+
+    /**
+     * Check if skin tones are enabled
+     *
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return !this.#settings.get_boolean('skin-tones-disabled');
+    }
+
+    /**
+     * Get where the tone selector should be placed
+     *
+     * @returns {string} - search, top or bottom
+     */
+    getLocation() {
+        const location = this.#settings.get_string('skin-tone-location');
+        return ['search', 'top', 'bottom'].includes(location) ? location : 'search';
+    }
+
+    /**
+     * Get the selected tone
+     *
+     * @returns {{id: string, modifier: string, label: string}}
+     */
+    getTone() {
+        const id = this.#settings.get_string('skin-tone');
+        return SKIN_TONES.find(tone => tone.id === id) || SKIN_TONES[0];
+    }
+
+    /**
+     * Select a tone
+     *
+     * @param {string} id - Tone id from SKIN_TONES
+     */
+    setTone(id) {
+        if (!SKIN_TONES.some(tone => tone.id === id) || id === this.getTone().id) {
+            return;
+        }
+
+        this.#settings.set_string('skin-tone', id);
+        this.updateToneStates();
+
+        if (this.#onToneChangedCallback) {
+            this.#onToneChangedCallback(id);
+        }
+    }
+
+    /**
+     * Get the tone used for an emoji
+     * A tone remembered for the emoji wins over the selected tone.
+     *
+     * @param {string} emoji - Base emoji
+     * @returns {{id: string, modifier: string, label: string}}
+     */
+    getEmojiTone(emoji) {
+        const id = this.#emojiTones.get(emoji);
+        return SKIN_TONES.find(tone => tone.id === id) || this.getTone();
+    }
+
+    /**
+     * Remember a tone for a single emoji
+     *
+     * @param {string} emoji - Base emoji
+     * @param {string} id - Tone id from SKIN_TONES
+     */
+    setEmojiTone(emoji, id) {
+        if (!SKIN_TONES.some(tone => tone.id === id)) {
+            return;
+        }
+
+        this.#emojiTones.set(emoji, id);
+        this.saveEmojiTones();
+    }
+
+    /**
+     * Get the text to display and insert for an emoji
+     *
+     * @param {{emoji: string, skin_tones?: boolean}} item
+     * @returns {string}
+     */
+    getEmojiText(item) {
+        if (!item.skin_tones || !this.isEnabled()) {
+            return item.emoji;
+        }
+
+        return applySkinTone(item.emoji, this.getEmojiTone(item.emoji).modifier);
+    }
+
+    /**
+     * Open a popover with all tones of an emoji
+     *
+     * @param {Clutter.Actor} sourceActor - Emoji button the popover points at
+     * @param {{emoji: string}} item
+     * @param {Function} onToneSelected - Called with the chosen variant
+     */
+    openTonePopover(sourceActor, item, onToneSelected) {
+        this.closeTonePopover();
+
+        const menu = new PopupMenu.PopupMenu(sourceActor, 0.5, St.Side.TOP);
+        menu.actor.add_style_class_name('emoji-skin-tone-popover');
+        Main.uiGroup.add_child(menu.actor);
+
+        this.#tonePopoverManager.addMenu(menu);
+
+        const toneBox = new St.BoxLayout({
+            style_class: 'emoji-skin-tone-bar',
+        });
+
+        const currentId = this.getEmojiTone(item.emoji).id;
+        for (const tone of SKIN_TONES) {
+            const variant = applySkinTone(item.emoji, tone.modifier);
+            const button = new St.Button({
+                style_class: 'emoji-skin-tone-button',
+                label: variant,
+                can_focus: true,
+                track_hover: true,
+            });
+
+            if (tone.id === currentId) {
+                button.add_style_class_name('active');
+            }
+
+            button.set_accessible_name(`${tone.label} skin tone`);
+            button.connect('clicked', () => {
+                this.setEmojiTone(item.emoji, tone.id);
+                this.closeTonePopover();
+                if (onToneSelected) {
+                    onToneSelected(variant);
+                }
+            });
+
+            toneBox.add_child(button);
+        }
+
+        const menuItem = new PopupMenu.PopupBaseMenuItem({
+            reactive: false,
+            can_focus: false,
+        });
+        menuItem.add_child(toneBox);
+        menu.addMenuItem(menuItem);
+
+        // Dismissed from outside: destroy once the close has finished
+        menu.connect('open-state-changed', (_menu, open) => {
+            if (open) {
+                return;
+            }
+            GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                if (this.#tonePopover === menu) {
+                    this.closeTonePopover();
+                }
+                return GLib.SOURCE_REMOVE;
+            });
+        });
+
+        this.#tonePopover = menu;
+        menu.open();
+        toneBox.get_child_at_index(0)?.grab_key_focus();
+    }
+
+    /**
+     * Close the tone popover if open
+     */
+    closeTonePopover() {
+        const menu = this.#tonePopover;
+        if (!menu) {
+            return;
+        }
+
+        this.#tonePopover = null;
+        this.#tonePopoverManager.removeMenu(menu);
+        menu.destroy();
+    }
+
+    /**
+     * Build the tone selector
+     *
+     * @returns {St.BoxLayout}
+     */
+    buildToneSelector() {
+        this.#toneButtons.clear();
+
+        const toneBox = new St.BoxLayout({
+            style_class: `emoji-skin-tone-bar emoji-skin-tone-${this.getLocation()}`,
+            x_expand: this.getLocation() !== 'search',
+        });
+
+        for (const tone of SKIN_TONES) {
+            const button = new St.Button({
+                style_class: 'emoji-skin-tone-button',
+                label: applySkinTone(SKIN_TONE_SAMPLE, tone.modifier),
+                can_focus: true,
+                track_hover: true,
+            });
+
+            button.set_accessible_name(`${tone.label} skin tone`);
+            button.connect('clicked', () => {
+                this.setTone(tone.id);
+            });
+
+            this.#toneButtons.set(tone.id, button);
+            toneBox.add_child(button);
+        }
+
+        this.updateToneStates();
+        return toneBox;
+    }
+
+    /**
+     * Update tone button states (visual highlighting)
+     */
+    updateToneStates() {
+        const currentId = this.getTone().id;
+        for (const [id, button] of this.#toneButtons) {
+            if (id === currentId) {
+                button.add_style_class_name('active');
+            } else {
+                button.remove_style_class_name('active');
+            }
+        }
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.closeTonePopover();
+        this.#tonePopoverManager = null;
+        this.#toneButtons.clear();
+        this.#emojiTones.clear();
+        this.#settings = null;
+        this.#onToneChangedCallback = null;
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * Theme Manager
+ * Applies the theme setting (auto, light, dark or custom) to the popup and
+ * follows the desktop color scheme and accent color
+ *
+ * Light and dark are style classes in stylesheet.css. Custom colors and the
+ * accent color are runtime values, so they go into a generated stylesheet
+ * loaded into the shell theme.
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import St from 'gi://St';
+
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async', 'replace_contents_finish');
+
+const INTERFACE_SCHEMA = 'org.gnome.desktop.interface';
+const THEME_KEYS = [
+    'theme',
+    'use-custom-theme',
+    'custom-background-color',
+    'custom-hover-color',
+    'custom-accent-color',
+    'custom-text-color',
+];
+
+const THEME_CLASSES = [
+    'emoji-picker-custom-theme',
+    'emoji-picker-native-theme',
+    'emoji-picker-theme-light',
+    'emoji-picker-theme-dark',
+    'emoji-picker-theme-custom',
+];
+
+// org.gnome.desktop.interface accent-color values (GNOME 47+), as libadwaita draws them
+const ACCENT_COLORS = {
+    blue: '#3584e4',
+    teal: '#2190a4',
+    green: '#3a944a',
+    yellow: '#c88800',
+    orange: '#ed5b00',
+    red: '#e62d42',
+    pink: '#d56199',
+    purple: '#9141ac',
+    slate: '#6f8396',
+};
+
+// Colors are pasted into CSS, so only plain color values are accepted
+const CSS_COLOR = /^(#[0-9a-f]{3,8}|rgba?\(\s*[\d.]+%?\s*(,\s*[\d.]+%?\s*){2,3}\))$/i;
+
+// Generated stylesheet in $XDG_CACHE_HOME/gemoji/
+const STYLESHEET_DIR = 'gemoji';
+const STYLESHEET_NAME = 'theme.css';
+
+// Scope of generated rules: the popup container inside the themed popup
+// actor; two classes outrank the rules in stylesheet.css
+const SCOPE = '.emoji-picker-custom-theme .emoji-picker-popup';
+
+/**
+ * Get a color setting if it is a valid CSS color
+ *
+ * @param {Gio.Settings} settings
+ * @param {string} key
+ * @returns {string|null}
+ */
+function getColor(settings, key) {
+    const color = settings.get_string(key).trim();
+    return CSS_COLOR.test(color) ? color : null;
+}
+
+export class ThemeManager {
+    #settings;
+    #interfaceSettings;
+    #onThemeChangedCallback;
+    #settingsChangedId;
+    #interfaceChangedId;
+    #themeContextChangedId;
+    #theme; // St.Theme the stylesheet is loaded into
+    #stylesheet;
+    #stylesheetSerial; // Bumped per regeneration, so only the latest gets loaded
+    #writing; // Promise of the write in progress, later writes queue behind it
+
+    /**
+     * @param {Gio.Settings} settings
+     * @param {Function} onThemeChangedCallback - Called when the popup needs the theme re-applied
+     */
+    constructor(settings, onThemeChangedCallback) {
+        this.#settings = settings;
+        this.#onThemeChangedCallback = onThemeChangedCallback;
+        this.#interfaceSettings = new Gio.Settings({ schema_id: INTERFACE_SCHEMA });
+        this.#theme = null;
+        this.#stylesheet = null;
+        this.#stylesheetSerial = 0;
+        this.#writing = Promise.resolve();
+
+        this.#settingsChangedId = settings.connect('changed', (_, key) => {
+            if (THEME_KEYS.includes(key)) {
+                this.#onThemeChanged();
+            }
+        });
+        this.#interfaceChangedId = this.#interfaceSettings.connect('changed', (_, key) => {
+            if (key === 'color-scheme' || key === 'accent-color') {
+                this.#onThemeChanged();
+            }
+        });
+
+        // A new shell theme drops stylesheets loaded into the old one
+        const themeContext = St.ThemeContext.get_for_stage(global.stage);
+        this.#themeContextChangedId = themeContext.connect('changed', () => {
+            if (themeContext.get_theme() !== this.#theme) {
+                this.#loadStylesheet();
+            }
+        });
+
+        this.#loadStylesheet();
+    }
+
+    /**
+     * Get the color scheme in effect
+     * auto follows the desktop color-scheme.
+     *
+     * @returns {string} - light, dark or custom
+     */
+    getScheme() {
+        const theme = this.#settings.get_string('theme');
+        if (theme === 'light' || theme === 'dark' || theme === 'custom') {
+            return theme;
+        }
+
+        return this.#interfaceSettings.get_string('color-scheme') === 'prefer-dark' ? 'dark' : 'light';
+    }
+
+    /**
+     * Get the accent color
+     * custom-accent-color for the custom scheme, else the desktop accent
+     * color where GNOME has one (47+).
+     *
+     * @returns {string|null} null keeps the stylesheet's accent
+     */
+    getAccentColor() {
+        if (this.getScheme() === 'custom') {
+            return getColor(this.#settings, 'custom-accent-color');
+        }
+
+        if (!this.#interfaceSettings.settings_schema.has_key('accent-color')) {
+            return null;
+        }
+        return ACCENT_COLORS[this.#interfaceSettings.get_string('accent-color')] ?? null;
+    }
+
+    /**
+     * Apply the theme classes to the popup
+     * With use-custom-theme off the popup keeps the Shell look and the
+     * scheme is not applied.
+     *
+     * @param {St.Widget} popup
+     */
+    apply(popup) {
+        for (const styleClass of THEME_CLASSES) {
+            popup.remove_style_class_name(styleClass);
+        }
+
+        if (!this.#settings.get_boolean('use-custom-theme')) {
+            popup.add_style_class_name('emoji-picker-native-theme');
+            return;
+        }
+
+        popup.add_style_class_name('emoji-picker-custom-theme');
+        popup.add_style_class_name(`emoji-picker-theme-${this.getScheme()}`);
+    }
+
+    /**
+     * Regenerate the stylesheet and notify
+     */
+    #onThemeChanged() {
+        this.#loadStylesheet();
+        if (this.#onThemeChangedCallback) {
+            this.#onThemeChangedCallback();
+        }
+    }
+
+    /**
+     * Build the rules for the accent color and custom colors
+     *
+     * @returns {string} Empty when the stylesheet.css defaults apply
+     */
+    #buildStylesheet() {
+        const rules = [];
+
+        const accent = this.getAccentColor();
+        if (accent) {
+            rules.push(
+                `${SCOPE} .emoji-category-tab.active .emoji-category-icon { color: ${accent}; }`,
+                `${SCOPE} .emoji-skin-tone-button.active { background-color: transparent; box-shadow: inset 0 0 0 2px ${accent}; }`,
+                `${SCOPE} .emoji-compose-insert { background-color: ${accent}; }`,
+                `${SCOPE} .emoji-button:focus { box-shadow: inset 0 0 0 2px ${accent}; }`
+            );
+        }
+
+        if (this.getScheme() === 'custom') {
+            const background = getColor(this.#settings, 'custom-background-color');
+            const hover = getColor(this.#settings, 'custom-hover-color');
+            const text = getColor(this.#settings, 'custom-text-color');
+
+            if (background) {
+                rules.push(
+                    `${SCOPE} { background-color: ${background}; }`,
+                    `${SCOPE} .emoji-category-header { background-color: ${background}; }`
+                );
+            }
+            if (hover) {
+                rules.push(
+                    `${SCOPE} .emoji-button:hover, ${SCOPE} .emoji-button:focus, ` +
+                    `${SCOPE} .emoji-reaction-button:hover, ${SCOPE} .emoji-reaction-button:focus, ` +
+                    `${SCOPE} .emoji-skin-tone-button:hover, ${SCOPE} .emoji-skin-tone-button:focus, ` +
+                    `${SCOPE} .emoji-category-tab:hover .emoji-category-icon, ${SCOPE} .emoji-category-tab:focus .emoji-category-icon { background-color: ${hover}; }`
+                );
+            }
+            if (text) {
+                rules.push(
+                    `${SCOPE}, ${SCOPE} .emoji-search-entry, ${SCOPE} .emoji-category-header, ` +
+                    `${SCOPE} .emoji-category-icon, ${SCOPE} .emoji-preview-name, ${SCOPE} .emoji-preview-shortcodes, ` +
+                    `${SCOPE} .emoji-preview-details, ${SCOPE} .emoji-loading { color: ${text}; }`
+                );
+            }
+        }
+
+        return rules.join('\n');
+    }
+
+    /**
+     * Replace the generated stylesheet in the shell theme
+     * The old rules are dropped right away; the new ones are written in the
+     * background and loaded unless a newer regeneration superseded them.
+     */
+    #loadStylesheet() {
+        const theme = St.ThemeContext.get_for_stage(global.stage).get_theme();
+        if (this.#stylesheet && this.#theme === theme) {
+            theme.unload_stylesheet(this.#stylesheet);
+        }
+        this.#stylesheet = null;
+        this.#theme = theme;
+
+        const serial = ++this.#stylesheetSerial;
+        const css = this.#buildStylesheet();
+        if (!css) {
+            return;
+        }
+
+        const file = Gio.File.new_for_path(
+            GLib.build_filenamev([GLib.get_user_cache_dir(), STYLESHEET_DIR, STYLESHEET_NAME])
+        );
+        const bytes = new GLib.Bytes(new TextEncoder().encode(`${css}\n`));
+
+        this.#writing = this.#writing.then(async () => {
+            if (serial !== this.#stylesheetSerial) {
+                return;
+            }
+
+            try {
+                GLib.mkdir_with_parents(file.get_parent().get_path(), 0o700);
+                await file.replace_contents_bytes_async(
+                    bytes,
+                    null,
+                    false,
+                    Gio.FileCreateFlags.REPLACE_DESTINATION,
+                    null
+                );
+
+                if (serial === this.#stylesheetSerial && this.#theme === theme) {
+                    theme.load_stylesheet(file);
+                    this.#stylesheet = file;
+                }
+            } catch (error) {
+                logError(error, 'emoji-picker: failed to load theme stylesheet');
+            }
+        });
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        if (this.#stylesheet && St.ThemeContext.get_for_stage(global.stage).get_theme() === this.#theme) {
+            this.#theme.unload_stylesheet(this.#stylesheet);
+        }
+        this.#stylesheet = null;
+        this.#theme = null;
+        this.#stylesheetSerial++;
+
+        if (this.#themeContextChangedId) {
+            St.ThemeContext.get_for_stage(global.stage).disconnect(this.#themeContextChangedId);
+            this.#themeContextChangedId = 0;
+        }
+
+        if (this.#interfaceChangedId) {
+            this.#interfaceSettings.disconnect(this.#interfaceChangedId);
+            this.#interfaceChangedId = 0;
+        }
+
+        if (this.#settingsChangedId) {
+            this.#settings.disconnect(this.#settingsChangedId);
+            this.#settingsChangedId = 0;
+        }
+
+        this.#interfaceSettings = null;
+        this.#settings = null;
+        this.#onThemeChangedCallback = null;
+    }
+}
@@ -1,96 +1,332 @@
 /**
  * Usage Tracker
- * Tracks frequently used emojis
+ * Tracks emoji usage counts and timestamps for suggestions
  *
  * @author     Ashu <ashu@example.local>
  * @copyright  2025
  * @license    GPL-3.0-only
  */
 
+import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
+import { SUGGESTION_LIMIT, TRENDING_HALF_LIFE_MS, USAGE_SAVE_DELAY_MS, USAGE_TIMESTAMP_LIMIT } from './constants.js';
+import { createToneLookup, getSkinToneVariants } from './skinToneManager.js';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async', 'replace_contents_finish');
+
+// Usage history lives in $XDG_DATA_HOME/gemoji/usage.json
+const USAGE_FILE_DIR = 'gemoji';
+const USAGE_FILE_NAME = 'usage.json';
+const USAGE_FILE_VERSION = 1;
+
+/**
+ * Normalize a stored usage record
+ * Older versions stored a bare count without any timestamps.
+ *
+ * @param {number|object} value
+ * @returns {{count: number, timestamps: Array<number>}}
+ */
+function toUsageRecord(value) {
+    if (typeof value === 'number') {
+        return { count: value, timestamps: [] };
+    }
+
+    const timestamps = Array.isArray(value?.timestamps)
+        ? value.timestamps.filter(time => Number.isFinite(time))
+        : [];
+    return {
+        count: Number.isFinite(value?.count) ? value.count : timestamps.length,
+        timestamps,
+    };
+}
+
+/**
+ * Check whether an error comes from a cancelled Gio operation
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isCancelled(error) {
+    return error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED);
+}
 
 export class UsageTracker {
     #settings;
-    #usageCount;
+    #usage;
+    #file;
+    #saveTimeoutId;
+    #cancellable;
+    #loaded; // Saves wait for the file to be read, so they never clobber it
+    #saving; // Promise of the write in progress, later writes queue behind it
 
     /**
+     * Usage data is read in the background; uses tracked before it is in are
+     * merged into it.
+     *
      * @param {Gio.Settings} settings
      */
     constructor(settings) {
         this.#settings = settings;
-        this.#usageCount = new Map();
-        this.loadUsageData();
+        this.#usage = new Map();
+        this.#file = Gio.File.new_for_path(
+            GLib.build_filenamev([GLib.get_user_data_dir(), USAGE_FILE_DIR, USAGE_FILE_NAME])
+        );
+        this.#saveTimeoutId = 0;
+        this.#cancellable = new Gio.Cancellable();
+        this.#loaded = false;
+        this.#saving = Promise.resolve();
+
+        this.loadUsageData().catch(error => {
+            if (!isCancelled(error)) {
+                logError(error, 'emoji-picker: failed to load usage data');
+            }
+        });
     }
 
     /**
-     * Load usage data from settings
+     * Load usage data from the usage file
+     * Falls back to a one-time migration of the old GSettings key.
+     *
+     * @returns {Promise<void>} Rejects only when cancelled
      */
-    loadUsageData() {
+    async loadUsageData() {
+        let usage = new Map();
+
         try {
-            const json = this.#settings.get_string('emoji-usage-counts');
-            if (json) {
-                const data = JSON.parse(json);
-                this.#usageCount = new Map(Object.entries(data));
+            const [bytes] = await this.#file.load_contents_async(this.#cancellable);
+            const data = JSON.parse(new TextDecoder('utf-8').decode(bytes));
+            if (data?.version === USAGE_FILE_VERSION && typeof data.usage === 'object') {
+                usage = new Map(
+                    Object.entries(data.usage).map(([emoji, value]) => [emoji, toUsageRecord(value)])
+                );
+            } else {
+                log(`emoji-picker: unsupported usage file version ${data?.version}, starting fresh`);
             }
         } catch (error) {
-            log('emoji-picker: failed to load usage data');
-            this.#usageCount = new Map();
+            if (isCancelled(error)) {
+                throw error;
+            }
+            if (error instanceof GLib.Error && error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                usage = this.#migrateFromSettings();
+            } else {
+                logError(error, 'emoji-picker: failed to load usage data');
+            }
+        }
+
+        if (this.#loaded) {
+            // Cleared while the file was being read
+            return;
+        }
+
+        const tracked = this.#usage;
+        this.#usage = usage;
+        this.#loaded = true;
+
+        for (const [emoji, record] of tracked) {
+            const stored = usage.get(emoji) || { count: 0, timestamps: [] };
+            usage.set(emoji, {
+                count: stored.count + record.count,
+                timestamps: [...stored.timestamps, ...record.timestamps].slice(-USAGE_TIMESTAMP_LIMIT),
+            });
+        }
+        if (tracked.size > 0) {
+            this.#queueSave();
         }
     }
 
     /**
-     * Save usage data to settings
+     * Move usage data out of the emoji-usage-counts GSettings key
+     * The key is reset once the usage file has been written, so this runs once.
+     *
+     * @returns {Map<string, {count: number, timestamps: Array<number>}>}
      */
-    saveUsageData() {
+    #migrateFromSettings() {
         try {
-            const obj = Object.fromEntries(this.#usageCount);
-            const json = JSON.stringify(obj);
-            this.#settings.set_string('emoji-usage-counts', json);
+            const json = this.#settings.get_string('emoji-usage-counts');
+            const data = json ? JSON.parse(json) : {};
+            if (Object.keys(data).length === 0) {
+                return new Map();
+            }
+
+            const usage = new Map(
+                Object.entries(data).map(([emoji, value]) => [emoji, toUsageRecord(value)])
+            );
+            this.#write(usage).then(written => {
+                if (written && this.#settings) {
+                    this.#settings.reset('emoji-usage-counts');
+                    log(`emoji-picker: migrated ${usage.size} usage entries to ${this.#file.get_path()}`);
+                }
+            });
+            return usage;
         } catch (error) {
-            log('emoji-picker: failed to save usage data');
+            logError(error, 'emoji-picker: failed to migrate usage data');
+            return new Map();
         }
     }
 
     /**
-     * Get frequently used emojis
+     * Save usage data to the usage file
+     * The file is replaced atomically, so a crash never leaves it half written.
+     * Nothing is written until the file has been read.
+     *
+     * @returns {Promise<boolean>} Whether the file was written
+     */
+    saveUsageData() {
+        if (!this.#loaded) {
+            return Promise.resolve(false);
+        }
+
+        this.#prune();
+        return this.#write(this.#usage);
+    }
+
+    /**
+     * Write usage records, after any write still in progress
+     * The records are serialized right away, so they may change meanwhile.
+     *
+     * @param {Map<string, object>} usage
+     * @returns {Promise<boolean>} Whether the file was written
+     */
+    #write(usage) {
+        const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify({
+            version: USAGE_FILE_VERSION,
+            usage: Object.fromEntries(usage),
+        })));
+
+        this.#saving = this.#saving.then(async () => {
+            try {
+                GLib.mkdir_with_parents(this.#file.get_parent().get_path(), 0o700);
+                await this.#file.replace_contents_bytes_async(
+                    bytes,
+                    null,
+                    false,
+                    Gio.FileCreateFlags.REPLACE_DESTINATION,
+                    null
+                );
+                return true;
+            } catch (error) {
+                logError(error, 'emoji-picker: failed to save usage data');
+                return false;
+            }
+        });
+        return this.#saving;
+    }
+
+    /**
+     * Coalesce saves: uses within the delay are written together
+     */
+    #queueSave() {
+        if (this.#saveTimeoutId || !this.#loaded) {
+            return;
+        }
+
+        this.#saveTimeoutId = GLib.timeout_add(GLib.PRIORITY_LOW, USAGE_SAVE_DELAY_MS, () => {
+            this.#saveTimeoutId = 0;
+            this.saveUsageData();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Drop the least recently used entries beyond usage-history-limit
+     */
+    #prune() {
+        const limit = this.#settings.get_int('usage-history-limit');
+        if (limit <= 0 || this.#usage.size <= limit) {
+            return;
+        }
+
+        const lastUse = (record) =>
+            record.timestamps.length > 0 ? Math.max(...record.timestamps) : 0;
+
+        const kept = Array.from(this.#usage.entries())
+            .sort((a, b) => lastUse(b[1]) - lastUse(a[1]) || b[1].count - a[1].count)
+            .slice(0, limit);
+        this.#usage = new Map(kept);
+    }
+
+    /**
+     * Get suggested emojis for a suggestion mode
+     * - recent: most recently used first
+     * - frequent: highest all-time count first
+     * - trending: highest time-decayed score first, so bursts of recent use win
+     * Skin tone variants are returned as entries for the variant itself.
      *
      * @param {Array<object>} emojiData
+     * @param {string} mode - recent, frequent or trending
      * @param {number} limit
      * @returns {Array<object>}
      */
-    getFrequentlyUsed(emojiData, limit = 30) {
-        if (this.#usageCount.size === 0) {
+    getSuggestions(emojiData, mode = 'frequent', limit = SUGGESTION_LIMIT) {
+        if (this.#usage.size === 0) {
             return [];
         }
 
-        const emojiMap = new Map();
-        for (const entry of emojiData) {
-            emojiMap.set(entry.emoji, entry);
-        }
+        const emojiMap = createToneLookup(emojiData);
 
-        const sortedEmojis = Array.from(this.#usageCount.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, limit)
-            .map(([emoji]) => emojiMap.get(emoji))
-            .filter(entry => entry);
+        const now = Date.now();
+        const score = (record) => {
+            if (mode === 'recent') {
+                return record.timestamps.length > 0 ? Math.max(...record.timestamps) : 0;
+            }
+            if (mode === 'trending') {
+                return this.#getTrendingScore(record, now);
+            }
+            return record.count;
+        };
 
-        return sortedEmojis;
+        return Array.from(this.#usage.entries())
+            .map(([emoji, record]) => ({ emoji, record, score: score(record) }))
+            .sort((a, b) => b.score - a.score || b.record.count - a.record.count)
+            .map(({ emoji }) => emojiMap.get(emoji))
+            .filter(entry => entry)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get frequently used emojis
+     *
+     * @param {Array<object>} emojiData
+     * @param {number} limit
+     * @returns {Array<object>}
+     */
+    getFrequentlyUsed(emojiData, limit = SUGGESTION_LIMIT) {
+        return this.getSuggestions(emojiData, 'frequent', limit);
+    }
+
+    /**
+     * Exponentially decayed use count
+     * Each use is worth 1 now and half as much every TRENDING_HALF_LIFE_MS.
+     *
+     * @param {{timestamps: Array<number>}} record
+     * @param {number} now - Current time in ms
+     * @returns {number}
+     */
+    #getTrendingScore(record, now) {
+        let score = 0;
+        for (const time of record.timestamps) {
+            const age = Math.max(0, now - time);
+            score += Math.pow(0.5, age / TRENDING_HALF_LIFE_MS);
+        }
+        return score;
     }
 
     /**
      * Track emoji usage
      *
-     * @param {string} emoji
+     * @param {string} emoji - Inserted emoji, including any skin tone
      */
     trackUsage(emoji) {
-        const currentCount = this.#usageCount.get(emoji) || 0;
-        this.#usageCount.set(emoji, currentCount + 1);
-        
-        // Debounce saves
-        GLib.timeout_add(GLib.PRIORITY_LOW, 500, () => {
-            this.saveUsageData();
-            return GLib.SOURCE_REMOVE;
-        });
+        const record = this.#usage.get(emoji) || { count: 0, timestamps: [] };
+        record.count++;
+        record.timestamps.push(Date.now());
+        if (record.timestamps.length > USAGE_TIMESTAMP_LIMIT) {
+            record.timestamps.splice(0, record.timestamps.length - USAGE_TIMESTAMP_LIMIT);
+        }
+        this.#usage.set(emoji, record);
+
+        this.#queueSave();
     }
 
     /**
@@ -100,14 +336,47 @@ export class UsageTracker {
      * @returns {number}
      */
     getCount(emoji) {
-        return this.#usageCount.get(emoji) || 0;
+        return this.#usage.get(emoji)?.count || 0;
+    }
+
+    /**
+     * Get usage count for an emoji including all of its skin tone variants
+     *
+     * @param {{emoji: string, skin_tones?: boolean}} item
+     * @returns {number}
+     */
+    getTotalCount(item) {
+        let count = this.getCount(item.emoji);
+        if (item.skin_tones) {
+            for (const variant of getSkinToneVariants(item.emoji)) {
+                count += this.getCount(variant);
+            }
+        }
+        return count;
     }
 
     /**
      * Clear all usage data
      */
     clear() {
-        this.#usageCount.clear();
+        this.#usage.clear();
+        this.#loaded = true;
         this.saveUsageData();
     }
+
+    /**
+     * Flush a pending save and clean up
+     * The write finishes in the background.
+     */
+    destroy() {
+        this.#cancellable.cancel();
+
+        if (this.#saveTimeoutId) {
+            GLib.source_remove(this.#saveTimeoutId);
+            this.#saveTimeoutId = 0;
+            this.saveUsageData();
+        }
+        this.#usage.clear();
+        this.#settings = null;
+    }
 }
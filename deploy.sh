@@ -9,6 +9,7 @@ echo "📦 Deploying Gemoji — GNOME Emoji Picker..."
 rsync -av --delete \
   --exclude='.git' \
   --exclude='docs/' \
+  --exclude='tools/' \
   --exclude='extension_old.js' \
   --exclude='deploy.sh' \
   /home/ashu/Code/linux/emoji-picker/ \
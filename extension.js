@@ -17,15 +17,25 @@ import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
 
 // Import our modules
-import { POPUP_WIDTH, POPUP_HEIGHT, POPUP_SIZE_MODES } from './core/constants.js';
-import { loadEmojiData, collectCategories } from './core/emojiData.js';
+import { POPUP_WIDTH, POPUP_HEIGHT } from './core/constants.js';
+import { loadEmojiDataAsync, collectCategories, filterHiddenEmojis, getDisplayName, getHiddenKey, parseCustomEmojis } from './core/emojiData.js';
 import { UsageTracker } from './core/usageTracker.js';
+import { FavoritesManager } from './core/favoritesManager.js';
 import { KeybindingManager } from './core/keybindingManager.js';
 import { SearchManager } from './core/searchManager.js';
 import { CategoryManager } from './core/categoryManager.js';
 import { EmojiRenderer } from './core/emojiRenderer.js';
-import { ClipboardManager } from './core/clipboardManager.js';
+import { ClipboardManager, formatEmoji } from './core/clipboardManager.js';
 import { PopupSizeManager } from './core/popupSizeManager.js';
+import { SkinToneManager, createToneLookup } from './core/skinToneManager.js';
+import { ReactionManager } from './core/reactionManager.js';
+import { ComposeBuffer } from './core/composeBuffer.js';
+import { PreviewPane } from './core/previewPane.js';
+import { EmojiContextMenu } from './core/emojiContextMenu.js';
+import { FontCoverage, applyFontCoverage } from './core/fontCoverage.js';
+import { EmojiImageSet } from './core/emojiImageSet.js';
+import { ThemeManager } from './core/themeManager.js';
+import { PopupPlacement } from './core/popupPlacement.js';
 
 /**
  * Extension entry point
@@ -43,12 +53,45 @@ export default class EmojiPickerExtension extends Extension {
     /** @type {number} */
     #settingsChangedId = 0;
 
+    /** @type {number} */
+    #monitorsChangedId = 0;
+
     /** @type {Array<object>} */
     #emojiData = [];
 
+    /** @type {Array<object>} Loaded dataset before hidden-emojis is applied */
+    #allEmojiData = [];
+
+    /** @type {boolean} */
+    #emojiDataLoaded = false;
+
+    /** @type {Gio.Cancellable|null} */
+    #emojiDataCancellable = null;
+
+    /** @type {number} */
+    #prewarmId = 0;
+
+    /** @type {FontCoverage|null} */
+    #fontCoverage = null;
+
+    /** @type {EmojiImageSet|null} */
+    #emojiImageSet = null;
+
+    /** @type {ThemeManager|null} */
+    #themeManager = null;
+
+    /** @type {PopupPlacement|null} */
+    #popupPlacement = null;
+
+    /** @type {Gio.Cancellable|null} */
+    #emojiImagesCancellable = null;
+
     /** @type {St.Entry|null} */
     #searchEntry = null;
 
+    /** @type {St.Label|null} */
+    #searchHint = null;
+
     /** @type {St.Widget|null} */
     #emojiGrid = null;
 
@@ -62,6 +105,21 @@ export default class EmojiPickerExtension extends Extension {
     /** @type {UsageTracker|null} */
     #usageTracker = null;
 
+    /** @type {FavoritesManager|null} */
+    #favoritesManager = null;
+
+    /** @type {ReactionManager|null} */
+    #reactionManager = null;
+
+    /** @type {ComposeBuffer|null} */
+    #composeBuffer = null;
+
+    /** @type {PreviewPane|null} */
+    #previewPane = null;
+
+    /** @type {EmojiContextMenu|null} */
+    #emojiContextMenu = null;
+
     /** @type {KeybindingManager|null} */
     #keybindingManager = null;
 
@@ -80,33 +138,153 @@ export default class EmojiPickerExtension extends Extension {
     /** @type {PopupSizeManager|null} */
     #popupSizeManager = null;
 
+    /** @type {SkinToneManager|null} */
+    #skinToneManager = null;
+
+    /** @type {{width: number, height: number, emojisPerRow: number, emojiSize: number, cellSize: number, showPreview: boolean}|null} */
+    #popupDimensions = null;
+
+    /** @type {number} */
+    #zoomScrollDelta = 0;
+
     /**
-     * Get popup dimensions based on size mode
-     * @returns {{width: number, height: number}}
+     * Get popup dimensions based on size mode and emoji size
+     * @returns {{width: number, height: number, emojisPerRow: number, emojiSize: number, cellSize: number, showPreview: boolean}}
      */
     #getPopupDimensions() {
-        if (this.#popupSizeManager) {
-            const dims = this.#popupSizeManager.getDimensions();
-            return {
-                width: dims.width,
-                height: dims.height
-            };
+        return this.#popupSizeManager.getDimensions();
+    }
+
+    /**
+     * Load the dataset with the configured locale and custom emojis
+     * Files are read without blocking the shell; a newer load cancels the
+     * one in progress.
+     *
+     * @param {Function} onLoaded - Called once #emojiData has been replaced
+     */
+    #loadEmojiData(onLoaded) {
+        this.#emojiDataCancellable?.cancel();
+        const cancellable = new Gio.Cancellable();
+        this.#emojiDataCancellable = cancellable;
+
+        const start = GLib.get_monotonic_time();
+
+        this.#readEmojiData(cancellable).then(emojiData => {
+            if (cancellable.is_cancelled()) {
+                return;
+            }
+
+            this.#emojiDataCancellable = null;
+            this.#allEmojiData = emojiData;
+            this.#emojiData = filterHiddenEmojis(emojiData, this.#settings.get_strv('hidden-emojis'));
+            this.#emojiDataLoaded = true;
+            this.#logTiming(`loaded ${emojiData.length} emojis`, start);
+            onLoaded();
+        }).catch(error => {
+            if (!cancellable.is_cancelled()) {
+                logError(error, 'emoji-picker: failed to load emoji data');
+            }
+        });
+    }
+
+    /**
+     * Read the dataset and apply the unsupported-emoji-mode setting
+     * Font coverage is only checked for the modes that use it.
+     *
+     * @param {Gio.Cancellable} cancellable
+     * @returns {Promise<Array<object>>}
+     */
+    async #readEmojiData(cancellable) {
+        const customEmojis = this.#settings.get_boolean('custom-emojis-enabled')
+            ? parseCustomEmojis(this.#settings.get_string('custom-emojis'))
+            : [];
+        const mode = this.#settings.get_string('unsupported-emoji-mode');
+        const maxVersion = this.#settings.get_string('max-unicode-version');
+
+        const emojiData = await loadEmojiDataAsync(
+            this.dir,
+            this.#settings.get_string('emoji-locale'),
+            customEmojis,
+            cancellable
+        );
+
+        let unsupported = new Set();
+        if (mode === 'hide' || mode === 'grey') {
+            const start = GLib.get_monotonic_time();
+            unsupported = await this.#fontCoverage.check(emojiData, cancellable);
+            this.#logTiming(`checked font coverage (${unsupported.size} unsupported)`, start);
         }
-        
-        // Fallback if manager not initialized
-        const sizeMode = this.#settings.get_string('popup-size-mode') || 'default';
-        if (sizeMode === 'custom') {
-            return {
-                width: this.#settings.get_int('popup-width'),
-                height: this.#settings.get_int('popup-height')
-            };
+
+        return applyFontCoverage(emojiData, unsupported, mode, maxVersion);
+    }
+
+    /**
+     * Index the images of the emoji-style setting
+     * The grid shows font glyphs until they are in, and for emojis without an
+     * image. An open popup is re-rendered in place.
+     */
+    #loadEmojiImages() {
+        this.#emojiImagesCancellable?.cancel();
+        const cancellable = new Gio.Cancellable();
+        this.#emojiImagesCancellable = cancellable;
+
+        const style = this.#settings.get_string('emoji-style');
+        this.#emojiImageSet.load(style, cancellable).then(count => {
+            if (cancellable.is_cancelled()) {
+                return;
+            }
+
+            this.#emojiImagesCancellable = null;
+            if (style !== 'native' && count === 0) {
+                log(`emoji-picker: no images found for emoji style ${style}, using the font`);
+            }
+            if (this.#popup && this.#searchManager) {
+                this.#searchManager.queueFilter(true);
+            }
+        }).catch(error => {
+            if (!cancellable.is_cancelled()) {
+                logError(error, `emoji-picker: failed to load images for emoji style ${style}`);
+            }
+        });
+    }
+
+    /**
+     * Apply a newly loaded dataset
+     * A popup that already exists (e.g. opened in its loading state) is rebuilt
+     * in place. Otherwise the popup is pre-built while the shell is idle, so
+     * the first toggle only has to show it.
+     */
+    #onEmojiDataLoaded() {
+        if (this.#popup) {
+            const visible = this.#popup.visible;
+            this.#destroyPopup();
+            this.#buildPopup();
+            if (visible) {
+                this.#showPopup();
+            }
+            return;
+        }
+
+        if (!this.#prewarmId) {
+            this.#prewarmId = GLib.idle_add(GLib.PRIORITY_LOW, () => {
+                this.#prewarmId = 0;
+                this.#buildPopup();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+    }
+
+    /**
+     * Log how long something took, when debug-logging is on
+     *
+     * @param {string} label
+     * @param {number} start - GLib.get_monotonic_time() when it started
+     */
+    #logTiming(label, start) {
+        if (this.#settings?.get_boolean('debug-logging')) {
+            const elapsed = (GLib.get_monotonic_time() - start) / 1000;
+            log(`emoji-picker: [timing] ${label} in ${elapsed.toFixed(1)} ms`);
         }
-        
-        const preset = POPUP_SIZE_MODES[sizeMode] || POPUP_SIZE_MODES.default;
-        return {
-            width: preset.width,
-            height: preset.height
-        };
     }
 
     /**
@@ -114,15 +292,45 @@ export default class EmojiPickerExtension extends Extension {
      */
     enable() {
         this.#settings = this.getSettings();
-        this.#emojiData = loadEmojiData(this.dir);
+        this.#emojiData = [];
+        this.#allEmojiData = [];
+        this.#emojiDataLoaded = false;
 
         // Initialize modules
         this.#usageTracker = new UsageTracker(this.#settings);
+        this.#favoritesManager = new FavoritesManager(
+            this.#settings,
+            () => this.#onFavoritesChanged()
+        );
+        this.#composeBuffer = new ComposeBuffer(
+            this.#settings,
+            (emojis) => this.#commitComposed(emojis)
+        );
+        this.#emojiContextMenu = new EmojiContextMenu(
+            this.#favoritesManager,
+            (action, item, emoji, format) => this.#onContextMenuAction(action, item, emoji, format),
+            this.#composeBuffer
+        );
+        this.#reactionManager = new ReactionManager(
+            this.#settings,
+            (emoji) => this.#onReactionSelected(emoji)
+        );
         this.#clipboardManager = new ClipboardManager(this.#settings);
+        this.#fontCoverage = new FontCoverage();
+        this.#emojiImageSet = new EmojiImageSet();
+        this.#popupPlacement = new PopupPlacement(this.#settings);
+        this.#themeManager = new ThemeManager(
+            this.#settings,
+            () => this.#applyTheme()
+        );
         this.#popupSizeManager = new PopupSizeManager(
             this.#settings,
             (dimensions) => this.#onPopupSizeChange(dimensions)
         );
+        this.#skinToneManager = new SkinToneManager(
+            this.#settings,
+            () => this.#onSkinToneChanged()
+        );
         this.#keybindingManager = new KeybindingManager(
             this.#settings,
             'emoji-keybinding',
@@ -143,24 +351,46 @@ export default class EmojiPickerExtension extends Extension {
         this.#settingsChangedId = this.#settings.connect('changed', (settings, key) => {
             this.#onSettingsChanged(key);
         });
+
+        // An open popup may be left on a disconnected or resized monitor
+        this.#monitorsChangedId = Main.layoutManager.connect('monitors-changed', () => {
+            if (this.#popup?.visible) {
+                this.#repositionPopup();
+            }
+        });
+
+        // Read the dataset and style images in the background; the popup is pre-built once the data is in
+        this.#loadEmojiImages();
+        this.#loadEmojiData(() => this.#onEmojiDataLoaded());
     }
 
     /**
      * Disable extension
      */
     disable() {
+        // Stop a pending load and pre-build
+        if (this.#emojiDataCancellable) {
+            this.#emojiDataCancellable.cancel();
+            this.#emojiDataCancellable = null;
+        }
+
+        if (this.#prewarmId) {
+            GLib.source_remove(this.#prewarmId);
+            this.#prewarmId = 0;
+        }
+
         // Disconnect settings
         if (this.#settingsChangedId && this.#settings) {
             this.#settings.disconnect(this.#settingsChangedId);
             this.#settingsChangedId = 0;
         }
 
-        // Cleanup modules
-        if (this.#searchManager) {
-            this.#searchManager.destroy();
-            this.#searchManager = null;
+        if (this.#monitorsChangedId) {
+            Main.layoutManager.disconnect(this.#monitorsChangedId);
+            this.#monitorsChangedId = 0;
         }
 
+        // Cleanup modules
         if (this.#keybindingManager) {
             this.#keybindingManager.unregister();
             this.#keybindingManager = null;
@@ -171,18 +401,74 @@ export default class EmojiPickerExtension extends Extension {
             this.#popupSizeManager = null;
         }
 
+        if (this.#skinToneManager) {
+            this.#skinToneManager.destroy();
+            this.#skinToneManager = null;
+        }
+
+        if (this.#favoritesManager) {
+            this.#favoritesManager.destroy();
+            this.#favoritesManager = null;
+        }
+
+        if (this.#reactionManager) {
+            this.#reactionManager.destroy();
+            this.#reactionManager = null;
+        }
+
+        if (this.#emojiContextMenu) {
+            this.#emojiContextMenu.destroy();
+            this.#emojiContextMenu = null;
+        }
+
+        if (this.#composeBuffer) {
+            this.#composeBuffer.destroy();
+            this.#composeBuffer = null;
+        }
+
+        if (this.#fontCoverage) {
+            this.#fontCoverage.destroy();
+            this.#fontCoverage = null;
+        }
+
+        if (this.#themeManager) {
+            this.#themeManager.destroy();
+            this.#themeManager = null;
+        }
+
+        if (this.#popupPlacement) {
+            this.#popupPlacement.destroy();
+            this.#popupPlacement = null;
+        }
+
+        if (this.#emojiImagesCancellable) {
+            this.#emojiImagesCancellable.cancel();
+            this.#emojiImagesCancellable = null;
+        }
+
+        if (this.#emojiImageSet) {
+            this.#emojiImageSet.destroy();
+            this.#emojiImageSet = null;
+        }
+
         // Cleanup UI
         this.#destroyPopup();
         this.#removePanelButton();
         this.#disconnectStageMonitor();
 
+        if (this.#usageTracker) {
+            this.#usageTracker.destroy();
+            this.#usageTracker = null;
+        }
+
         // Clear references
-        this.#usageTracker = null;
         this.#clipboardManager = null;
         this.#categoryManager = null;
         this.#emojiRenderer = null;
         this.#settings = null;
         this.#emojiData = [];
+        this.#allEmojiData = [];
+        this.#emojiDataLoaded = false;
     }
 
     /**
@@ -247,9 +533,12 @@ export default class EmojiPickerExtension extends Extension {
             return;
         }
 
+        const start = GLib.get_monotonic_time();
+
         log('emoji-picker: Creating popup container');
         // Get dimensions based on size mode
         const dimensions = this.#getPopupDimensions();
+        this.#popupDimensions = dimensions;
         
         // Create main container
         const container = new St.BoxLayout({
@@ -287,8 +576,13 @@ export default class EmojiPickerExtension extends Extension {
 
         container.add_child(headerBox);
 
+        // Reaction quick bar, above everything else
+        if (this.#reactionManager.isEnabled() && this.#reactionManager.getReactions().length > 0) {
+            container.add_child(this.#reactionManager.buildReactionBar());
+        }
+
         // Get categories
-        const categories = collectCategories(this.#emojiData);
+        const categories = this.#getCategories();
         log(`emoji-picker: Categories for tabs: ${JSON.stringify(categories)}`);
 
         // Create scroll view for emoji grid
@@ -308,9 +602,6 @@ export default class EmojiPickerExtension extends Extension {
             x_expand: true,
         });
 
-        // Apply layout class based on emojis per row
-        this.#emojiGrid.add_style_class_name(`emoji-layout-${dimensions.emojisPerRow}`);
-
         this.#scrollView.set_child(this.#emojiGrid);
 
         // Initialize category manager
@@ -330,24 +621,78 @@ export default class EmojiPickerExtension extends Extension {
         });
 
         // Initialize search manager
-        this.#searchManager = new SearchManager(this.#searchEntry, (query) => {
-            this.#applyFilter(query);
-        });
+        this.#searchManager = new SearchManager(
+            this.#searchEntry,
+            (query) => {
+                this.#applyFilter(query);
+            },
+            this.#usageTracker
+        );
 
         // Initialize emoji renderer with dynamic emojis per row
-        const popupDims = this.#getPopupDimensions();
         this.#emojiRenderer = new EmojiRenderer(
             this.#emojiGrid,
-            (item) => {
-                this.#handleEmojiSelected(item);
+            (item, emoji, format) => {
+                this.#handleEmojiSelected(item, emoji, format);
             },
-            popupDims.emojisPerRow
+            dimensions.emojisPerRow,
+            this.#skinToneManager,
+            this.#favoritesManager
         );
+        this.#emojiRenderer.setEmojiSize(dimensions.emojiSize, dimensions.cellSize, dimensions.emojisPerRow);
+        this.#emojiRenderer.setLeaveTopCallback(() => this.#searchManager?.focus());
+        this.#emojiRenderer.setHighlightCallback((item, emoji) => this.#previewPane?.show(item, emoji));
+        this.#emojiRenderer.setContextMenu(this.#emojiContextMenu);
+        this.#emojiRenderer.setImageSet(this.#emojiImageSet);
+        this.#setupSearchNavigation();
+
+        // Skin tone selector, placed according to skin-tone-location
+        const skinTonesEnabled = this.#skinToneManager.isEnabled();
+        const skinToneLocation = this.#skinToneManager.getLocation();
+        const toneSelector = skinTonesEnabled ? this.#skinToneManager.buildToneSelector() : null;
+
+        if (toneSelector && skinToneLocation === 'top') {
+            container.add_child(toneSelector);
+        }
+
+        // Build layout: search bar first, then category tabs, then the scrollable grid
+        if (toneSelector && skinToneLocation === 'search') {
+            const searchRow = new St.BoxLayout({
+                style_class: 'emoji-search-row',
+                x_expand: true,
+            });
+            searchRow.add_child(this.#searchEntry);
+            searchRow.add_child(toneSelector);
+            container.add_child(searchRow);
+        } else {
+            container.add_child(this.#searchEntry);
+        }
+
+        // Inline hint for problems with search filters (e.g. unknown operators)
+        this.#searchHint = new St.Label({
+            style_class: 'emoji-search-hint',
+            x_expand: true,
+            visible: false,
+        });
+        container.add_child(this.#searchHint);
+
+        // Compose buffer strip, only visible while something is buffered
+        if (this.#composeBuffer.isEnabled()) {
+            container.add_child(this.#composeBuffer.buildBufferStrip());
+        }
 
-    // Build layout: search bar first, then category tabs, then the scrollable grid
-    container.add_child(this.#searchEntry);
-    container.add_child(categoryTabs);
-    container.add_child(this.#scrollView);
+        container.add_child(categoryTabs);
+        container.add_child(this.#scrollView);
+
+        // Detail pane for the hovered/focused emoji, if the size preset has room
+        if (dimensions.showPreview) {
+            this.#previewPane = new PreviewPane();
+            container.add_child(this.#previewPane.build());
+        }
+
+        if (toneSelector && skinToneLocation === 'bottom') {
+            container.add_child(toneSelector);
+        }
 
         // Create popup
         this.#popup = new St.Widget({
@@ -360,14 +705,156 @@ export default class EmojiPickerExtension extends Extension {
         this.#popup.add_child(container);
         Main.layoutManager.addChrome(this.#popup);
 
+        // Captured so popup-wide shortcuts win over the focused search entry,
+        // and Ctrl+scroll zooms instead of scrolling the grid
+        this.#popup.connect('captured-event', (_actor, event) => {
+            if (event.type() === Clutter.EventType.SCROLL) {
+                return this.#onPopupScroll(event);
+            }
+            if (event.type() !== Clutter.EventType.KEY_PRESS) {
+                return Clutter.EVENT_PROPAGATE;
+            }
+            return this.#onPopupKeyPress(event);
+        });
+
         // Add drag functionality to the handle
         this.#setupDragHandle(dragHandle);
 
         // Apply theme
         this.#applyTheme();
 
-        // Initial render
-        this.#renderEmojisByCategory();
+        // Initial render, or a loading state until the dataset has been read
+        if (this.#emojiDataLoaded) {
+            this.#renderEmojisByCategory();
+        } else {
+            this.#emojiGrid.add_child(new St.Label({
+                text: 'Loading emojis…',
+                style_class: 'emoji-loading',
+                x_expand: true,
+            }));
+        }
+
+        this.#logTiming('built popup', start);
+    }
+
+    /**
+     * Keyboard handling of the search entry
+     * Down moves into the grid; Enter inserts the top result of the query.
+     */
+    #setupSearchNavigation() {
+        const clutterText = this.#searchEntry.get_clutter_text();
+
+        clutterText.connect('key-press-event', (_actor, event) => {
+            const symbol = event.get_key_symbol();
+            if (symbol === Clutter.KEY_Down || symbol === Clutter.KEY_KP_Down) {
+                return this.#emojiRenderer?.focusFirst()
+                    ? Clutter.EVENT_STOP
+                    : Clutter.EVENT_PROPAGATE;
+            }
+            return Clutter.EVENT_PROPAGATE;
+        });
+
+        clutterText.connect('activate', () => {
+            if (!this.#searchManager?.getQuery()) {
+                // Nothing to search for: Enter commits the compose buffer
+                if (this.#composeBuffer.isEnabled()) {
+                    this.#composeBuffer.commit();
+                }
+                return;
+            }
+            // Apply a filter still waiting on the debounce, so Enter picks what was typed
+            this.#searchManager.queueFilter(true);
+            this.#emojiRenderer?.activateFirst();
+        });
+    }
+
+    /**
+     * Popup-wide shortcuts
+     * Alt+1…Alt+8 insert reactions; Ctrl+Tab / Ctrl+Shift+Tab cycle category tabs.
+     * In compose mode Ctrl+Enter commits the buffer, and Backspace removes the
+     * last buffered emoji unless there is search text to delete.
+     *
+     * @param {Clutter.Event} event - Key press event
+     * @returns {boolean}
+     */
+    #onPopupKeyPress(event) {
+        if (this.#reactionManager.handleKeyPress(event) === Clutter.EVENT_STOP) {
+            return Clutter.EVENT_STOP;
+        }
+
+        const symbol = event.get_key_symbol();
+        const ctrl = (event.get_state() & Clutter.ModifierType.CONTROL_MASK) !== 0;
+
+        // Ctrl+plus/minus zoom, Ctrl+0 resets
+        if (ctrl) {
+            if (symbol === Clutter.KEY_plus || symbol === Clutter.KEY_equal || symbol === Clutter.KEY_KP_Add) {
+                this.#popupSizeManager.zoom(1);
+                return Clutter.EVENT_STOP;
+            }
+            if (symbol === Clutter.KEY_minus || symbol === Clutter.KEY_KP_Subtract) {
+                this.#popupSizeManager.zoom(-1);
+                return Clutter.EVENT_STOP;
+            }
+            if (symbol === Clutter.KEY_0 || symbol === Clutter.KEY_KP_0) {
+                this.#popupSizeManager.resetZoom();
+                return Clutter.EVENT_STOP;
+            }
+        }
+
+        if (this.#composeBuffer.isEnabled() && !this.#composeBuffer.isEmpty()) {
+            const isEnter = symbol === Clutter.KEY_Return || symbol === Clutter.KEY_KP_Enter;
+            if (ctrl && isEnter) {
+                this.#composeBuffer.commit();
+                return Clutter.EVENT_STOP;
+            }
+            if (symbol === Clutter.KEY_BackSpace && !this.#searchEntry?.get_text()) {
+                this.#composeBuffer.removeLast();
+                return Clutter.EVENT_STOP;
+            }
+        }
+
+        const isTab = symbol === Clutter.KEY_Tab || symbol === Clutter.KEY_ISO_Left_Tab;
+        if (!ctrl || !isTab || !this.#categoryManager) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        // Tabs only make sense in the category view, so leave search first
+        if (this.#searchManager?.getQuery()) {
+            this.#searchManager.clear();
+            this.#searchManager.queueFilter(true);
+        }
+
+        const shift = (event.get_state() & Clutter.ModifierType.SHIFT_MASK) !== 0;
+        this.#categoryManager.cycleCategory(shift || symbol === Clutter.KEY_ISO_Left_Tab ? -1 : 1);
+        return Clutter.EVENT_STOP;
+    }
+
+    /**
+     * Zoom emojis with Ctrl+scroll
+     * Smooth (touchpad) scrolling is accumulated into whole steps.
+     *
+     * @param {Clutter.Event} event
+     * @returns {boolean} Clutter.EVENT_STOP or Clutter.EVENT_PROPAGATE
+     */
+    #onPopupScroll(event) {
+        if ((event.get_state() & Clutter.ModifierType.CONTROL_MASK) === 0) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const direction = event.get_scroll_direction();
+        if (direction === Clutter.ScrollDirection.UP) {
+            this.#popupSizeManager.zoom(1);
+        } else if (direction === Clutter.ScrollDirection.DOWN) {
+            this.#popupSizeManager.zoom(-1);
+        } else if (direction === Clutter.ScrollDirection.SMOOTH) {
+            this.#zoomScrollDelta += event.get_scroll_delta()[1];
+            const steps = Math.trunc(this.#zoomScrollDelta);
+            if (steps !== 0) {
+                this.#zoomScrollDelta -= steps;
+                this.#popupSizeManager.zoom(-steps);
+            }
+        }
+        return Clutter.EVENT_STOP;
     }
 
     /**
@@ -411,6 +898,11 @@ export default class EmojiPickerExtension extends Extension {
         };
 
         const endDrag = () => {
+            // Remember where the popup was dropped, for the 'last' placement
+            if (dragging && this.#popup) {
+                this.#popupPlacement.rememberPosition(this.#popup);
+            }
+
             dragging = false;
             if (stageMotionId && global.stage) {
                 try { global.stage.disconnect(stageMotionId); } catch (e) {}
@@ -459,6 +951,12 @@ export default class EmojiPickerExtension extends Extension {
      * Destroy popup
      */
     #destroyPopup() {
+        // A pending search debounce would otherwise fire into the destroyed grid
+        if (this.#searchManager) {
+            this.#searchManager.destroy();
+            this.#searchManager = null;
+        }
+
         if (this.#popup) {
             Main.layoutManager.removeChrome(this.#popup);
             this.#popup.destroy();
@@ -466,11 +964,12 @@ export default class EmojiPickerExtension extends Extension {
         }
 
         this.#searchEntry = null;
+        this.#searchHint = null;
         this.#emojiGrid = null;
         this.#scrollView = null;
         this.#categoryManager = null;
-        this.#searchManager = null;
         this.#emojiRenderer = null;
+        this.#previewPane = null;
     }
 
     /**
@@ -479,18 +978,38 @@ export default class EmojiPickerExtension extends Extension {
      * @param {string} query
      */
     #applyFilter(query) {
-        if (!this.#emojiRenderer || !this.#searchManager) {
+        // Nothing to filter yet; the popup is rebuilt once the dataset is in
+        if (!this.#emojiRenderer || !this.#searchManager || !this.#emojiDataLoaded) {
             return;
         }
 
+        // The highlighted emoji is gone after re-rendering
+        this.#previewPane?.clear();
+
         if (query) {
             // Show filtered results
             const results = this.#searchManager.filterEmojis(query, this.#emojiData);
             this.#emojiRenderer.renderEmojis(results);
+            this.#setSearchHint(this.#searchManager.getHints().join('\n'));
         } else {
             // Show all emojis by category
             this.#renderEmojisByCategory();
+            this.#setSearchHint('');
+        }
+    }
+
+    /**
+     * Show or hide the inline search hint
+     *
+     * @param {string} text - Hint text, empty to hide
+     */
+    #setSearchHint(text) {
+        if (!this.#searchHint) {
+            return;
         }
+
+        this.#searchHint.text = text;
+        this.#searchHint.visible = text.length > 0;
     }
 
     /**
@@ -501,6 +1020,8 @@ export default class EmojiPickerExtension extends Extension {
             return;
         }
 
+        const start = GLib.get_monotonic_time();
+
         // Clear existing sections
         this.#categoryManager.clearSections();
 
@@ -508,44 +1029,182 @@ export default class EmojiPickerExtension extends Extension {
         this.#emojiRenderer.renderEmojisByCategory(
             this.#emojiData,
             this.#usageTracker,
-            (category, section) => {
-                this.#categoryManager.registerSection(category, section);
-            }
+            (category, offset) => {
+                this.#categoryManager.registerSection(category, offset);
+            },
+            this.#settings.get_string('suggestion-mode')
         );
+
+        this.#logTiming('rendered category view', start);
     }
 
     /**
      * Handle popup size change
-     * When user changes size mode, rebuild the popup
+     * A new emoji size (zoom, text or monitor scale) re-renders the grid in
+     * place; a new popup size rebuilds the popup.
      *
-     * @param {{width: number, height: number}} dimensions
+     * @param {{width: number, height: number, emojisPerRow: number, emojiSize: number, cellSize: number}} dimensions
      */
     #onPopupSizeChange(dimensions) {
         log(`emoji-picker: Popup size changed to ${dimensions.width}x${dimensions.height}, emojis per row: ${dimensions.emojisPerRow}`);
-        if (this.#popup) {
-            this.#destroyPopup();
-            this.#buildPopup();
-            
-            // Apply the appropriate emoji layout CSS class based on emojis per row
-            const layoutClass = `emoji-layout-${dimensions.emojisPerRow}`;
-            this.#emojiGrid.add_style_class_name(layoutClass);
+        if (!this.#popup) {
+            return;
+        }
+
+        const previous = this.#popupDimensions;
+        if (previous && previous.width === dimensions.width && previous.height === dimensions.height) {
+            this.#popupDimensions = dimensions;
+            this.#emojiRenderer.setEmojiSize(dimensions.emojiSize, dimensions.cellSize, dimensions.emojisPerRow);
+            this.#searchManager?.queueFilter(true);
+            return;
+        }
+
+        const visible = this.#popup.visible;
+        this.#destroyPopup();
+        this.#buildPopup();
+        if (visible) {
+            this.#showPopup();
+        }
+    }
+
+    /**
+     * Handle skin tone change
+     * Re-render the grid so modifier-capable emojis use the new tone
+     */
+    #onSkinToneChanged() {
+        if (this.#searchManager) {
+            this.#searchManager.queueFilter(true);
         }
     }
 
+    /**
+     * Apply hidden-emojis to the loaded dataset
+     * The popup may be open (hidden from the context menu), so tabs and grid
+     * are updated in place. A load in progress applies the setting itself.
+     */
+    #onHiddenEmojisChanged() {
+        if (!this.#emojiDataLoaded) {
+            return;
+        }
+
+        this.#emojiData = filterHiddenEmojis(this.#allEmojiData, this.#settings.get_strv('hidden-emojis'));
+        this.#categoryManager?.updateCategoryTabs(this.#getCategories());
+        if (this.#popup && this.#searchManager) {
+            this.#searchManager.queueFilter(true);
+        }
+    }
+
+    /**
+     * Get the category tabs for the loaded dataset
+     *
+     * @returns {Array<string>}
+     */
+    #getCategories() {
+        const hasFavorites = (this.#favoritesManager?.getFavoriteEntries(this.#emojiData).length ?? 0) > 0;
+        return collectCategories(this.#emojiData, hasFavorites);
+    }
+
+    /**
+     * Handle favorites change (pinned in the grid or reordered in prefs)
+     * Only the category view shows favorites, so search results stay as they are.
+     * The Favorites section is rebuilt in place, so focus and scroll survive Ctrl+D.
+     */
+    #onFavoritesChanged() {
+        // The Favorites tab comes and goes with the first and last pin
+        this.#categoryManager?.updateCategoryTabs(this.#getCategories());
+
+        if (this.#popup && this.#searchManager && this.#categoryManager && !this.#searchManager.getQuery()) {
+            this.#categoryManager.clearSections();
+            this.#emojiRenderer.updateFavorites(this.#emojiData);
+        }
+    }
+
+    /**
+     * Handle a reaction from the quick bar (click or Alt+N)
+     * Reactions are plain text, so look up their entry for the toast and usage.
+     *
+     * @param {string} emoji
+     */
+    #onReactionSelected(emoji) {
+        const item = createToneLookup(this.#emojiData).get(emoji) ?? { emoji, description: '' };
+        this.#handleEmojiSelected(item, emoji);
+    }
+
+    /**
+     * Handle an action from an emoji's context menu
+     *
+     * @param {string} action - copy or hide
+     * @param {object} item
+     * @param {string} emoji - Displayed text (may be a skin tone variant of item.emoji)
+     * @param {string|null} format - Output format for copy
+     */
+    #onContextMenuAction(action, item, emoji, format) {
+        if (action === 'copy' && this.#composeBuffer.isEnabled()) {
+            // Compose mode collects every pick, in the format asked for (the menu says Add)
+            this.#composeBuffer.append(emoji, format);
+        } else if (action === 'copy') {
+            // Copy without inserting or closing the popup
+            const text = this.#clipboardManager.copyToClipboard(emoji, format, item.aliases);
+            this.#usageTracker.trackUsage(emoji);
+            this.#clipboardManager.showToast(`${text} copied`);
+        } else if (action === 'hide') {
+            const hidden = this.#settings.get_strv('hidden-emojis');
+            const key = getHiddenKey(item);
+            if (!hidden.includes(key)) {
+                this.#settings.set_strv('hidden-emojis', [...hidden, key]);
+            }
+        }
+    }
+
+    /**
+     * Insert the compose buffer
+     * Each emoji is written in the format picked for it, else the default one.
+     *
+     * @param {Array<{emoji: string, format: string|null}>} entries - Buffered emojis, in order
+     */
+    #commitComposed(entries) {
+        const defaultFormat = this.#clipboardManager.getDefaultFormat();
+        const formats = entries.map(entry => entry.format ?? defaultFormat);
+        const lookup = formats.includes('shortcode') ? createToneLookup(this.#emojiData) : new Map();
+        const text = entries
+            .map(({ emoji }, i) => formatEmoji(emoji, formats[i], lookup.get(emoji)?.aliases))
+            .join('');
+        this.#clipboardManager.copyToClipboard(text, 'glyph');
+
+        // Usage is still tracked per emoji
+        for (const { emoji } of entries) {
+            this.#usageTracker.trackUsage(emoji);
+        }
+
+        this.#clipboardManager.showToast(`${text} copied`);
+        this.#clipboardManager.pasteEmoji();
+        this.#togglePopup(true);
+    }
+
     /**
      * Handle emoji selection
      *
-     * @param {{emoji: string, description?: string}} item
+     * @param {{emoji: string, description?: string, aliases?: Array<string>}} item
+     * @param {string} emoji - Text to insert (may be a skin tone variant of item.emoji)
+     * @param {string|null} format - Output format override, null for the default format
      */
-    #handleEmojiSelected(item) {
-        // Copy to clipboard
-        this.#clipboardManager.copyToClipboard(item.emoji);
+    #handleEmojiSelected(item, emoji = item.emoji, format = null) {
+        // Compose mode: collect the emoji and keep the popup open
+        if (this.#composeBuffer.isEnabled()) {
+            this.#composeBuffer.append(emoji, format);
+            return;
+        }
+
+        // Copy to clipboard in the chosen format
+        const text = this.#clipboardManager.copyToClipboard(emoji, format, item.aliases);
 
-        // Track usage
-        this.#usageTracker.trackUsage(item.emoji);
+        // Track usage of the variant actually inserted
+        this.#usageTracker.trackUsage(emoji);
 
         // Show toast
-        const message = `${item.emoji} ${item.description || 'copied'}`;
+        const message = text === emoji
+            ? `${emoji} ${getDisplayName(item)}`
+            : `${emoji} ${text}`;
         this.#clipboardManager.showToast(message);
 
         // Paste if enabled
@@ -572,8 +1231,25 @@ export default class EmojiPickerExtension extends Extension {
             if (this.#keybindingManager) {
                 this.#keybindingManager.update();
             }
-        } else if (key === 'use-custom-theme') {
-            this.#applyTheme();
+        } else if (key === 'emoji-style') {
+            this.#loadEmojiImages();
+        } else if (key === 'emoji-locale' || key === 'custom-emojis' || key === 'custom-emojis-enabled' ||
+                   key === 'unsupported-emoji-mode' || key === 'max-unicode-version') {
+            this.#loadEmojiData(() => this.#onEmojiDataLoaded());
+        } else if (key === 'hidden-emojis') {
+            this.#onHiddenEmojisChanged();
+        } else if (key === 'suggestion-mode') {
+            // Only the category view shows suggestions
+            if (this.#popup && this.#searchManager && !this.#searchManager.getQuery()) {
+                this.#renderEmojisByCategory();
+            }
+        } else if (key === 'skin-tones-disabled' || key === 'skin-tone-location' ||
+                   key === 'reactions-enabled' || key === 'reaction-emojis' || key === 'compose-mode') {
+            // Tone selector, reaction bar and compose strip are part of the popup layout, so rebuild it
+            if (this.#popup) {
+                this.#destroyPopup();
+                this.#buildPopup();
+            }
         }
     }
 
@@ -648,6 +1324,14 @@ export default class EmojiPickerExtension extends Extension {
             this.#searchManager.clear();
         }
 
+        if (this.#skinToneManager) {
+            this.#skinToneManager.closeTonePopover();
+        }
+
+        if (this.#emojiContextMenu) {
+            this.#emojiContextMenu.close();
+        }
+
         // Animate out
         this.#popup.ease({
             opacity: 0,
@@ -665,17 +1349,15 @@ export default class EmojiPickerExtension extends Extension {
     }
 
     /**
-     * Reposition popup in center of screen
+     * Position popup according to popup-placement
      */
     #repositionPopup() {
         if (!this.#popup) {
             return;
         }
 
-        const monitor = Main.layoutManager.primaryMonitor;
-        const x = monitor.x + Math.round((monitor.width - this.#popup.width) / 2);
-        const y = monitor.y + Math.round((monitor.height - this.#popup.height) / 2);
-        this.#popup.set_position(Math.max(monitor.x, x), Math.max(monitor.y, y));
+        const { x, y } = this.#popupPlacement.getPosition(this.#popup, this.#button);
+        this.#popup.set_position(x, y);
     }
 
     /**
@@ -711,20 +1393,14 @@ export default class EmojiPickerExtension extends Extension {
 
     /**
      * Apply theme
+     * The ThemeManager calls this again when the theme settings or the
+     * desktop color scheme change.
      */
     #applyTheme() {
-        if (!this.#popup) {
+        if (!this.#popup || !this.#themeManager) {
             return;
         }
 
-        this.#popup.remove_style_class_name('emoji-picker-custom-theme');
-        this.#popup.remove_style_class_name('emoji-picker-native-theme');
-
-        const useCustom = this.#settings?.get_boolean('use-custom-theme') ?? true;
-        if (useCustom) {
-            this.#popup.add_style_class_name('emoji-picker-custom-theme');
-        } else {
-            this.#popup.add_style_class_name('emoji-picker-native-theme');
-        }
+        this.#themeManager.apply(this.#popup);
     }
 }
@@ -13,6 +13,8 @@ import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 
 import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import { getAnnotationDirectories } from './core/emojiData.js';
+import { CATEGORIES, EMOJI_SIZE_LIMITS, HIDDEN_CUSTOM_PREFIX, EMOJI_STYLES, EMOJI_VERSIONS, MONITOR_MODES, OUTPUT_FORMATS, PLACEMENT_MODES, REACTIONS_MAX, UNSUPPORTED_EMOJI_MODES } from './core/constants.js';
 
 /**
  * Preferences window entry point
@@ -131,6 +133,21 @@ export default class EmojiPickerPrefs extends ExtensionPreferences {
         );
         generalGroup.add(pasteOnSelectRow);
 
+        // Output Format
+        const formatValues = Object.keys(OUTPUT_FORMATS);
+        const outputFormatRow = new Adw.ComboRow({
+            title: 'Output Format',
+            subtitle: 'Ctrl+click copies a shortcode, Shift+click a code point, Ctrl+Shift+click the emoji',
+            model: new Gtk.StringList({
+                strings: Object.values(OUTPUT_FORMATS),
+            }),
+        });
+        outputFormatRow.set_selected(Math.max(0, formatValues.indexOf(settings.get_string('output-format'))));
+        outputFormatRow.connect('notify::selected', () => {
+            settings.set_string('output-format', formatValues[outputFormatRow.get_selected()]);
+        });
+        generalGroup.add(outputFormatRow);
+
         generalPage.add(generalGroup);
 
         // Page 2: Appearance
@@ -154,16 +171,33 @@ export default class EmojiPickerPrefs extends ExtensionPreferences {
         });
         const themeValues = ['auto', 'light', 'dark', 'custom'];
         const currentTheme = settings.get_string('theme');
-        themeRow.set_selected(themeValues.indexOf(currentTheme));
+        themeRow.set_selected(Math.max(0, themeValues.indexOf(currentTheme)));
         themeRow.connect('notify::selected', () => {
-            settings.set_string('theme', themeValues[themeRow.get_selected()]);
+            const newTheme = themeValues[themeRow.get_selected()];
+            settings.set_string('theme', newTheme);
+            // Show/hide the custom colors
+            for (const row of colorRows) {
+                row.set_visible(newTheme === 'custom');
+            }
         });
         appearanceGroup.add(themeRow);
 
+        // Custom Colors (only shown with the custom theme)
+        const colorRows = [
+            this._createColorRow(settings, 'custom-background-color', 'Background Color'),
+            this._createColorRow(settings, 'custom-hover-color', 'Hover Color'),
+            this._createColorRow(settings, 'custom-accent-color', 'Accent Color'),
+            this._createColorRow(settings, 'custom-text-color', 'Text Color'),
+        ];
+        for (const row of colorRows) {
+            row.set_visible(currentTheme === 'custom');
+            appearanceGroup.add(row);
+        }
+
         // Custom Theme
         const useCustomThemeRow = new Adw.SwitchRow({
             title: 'Use Custom Theme',
-            subtitle: 'Override GNOME Shell theme',
+            subtitle: 'Override GNOME Shell theme; off keeps the Shell look and ignores Theme',
         });
         settings.bind(
             'use-custom-theme',
@@ -171,24 +205,64 @@ export default class EmojiPickerPrefs extends ExtensionPreferences {
             'active',
             Gio.SettingsBindFlags.DEFAULT
         );
+        settings.bind(
+            'use-custom-theme',
+            themeRow,
+            'sensitive',
+            Gio.SettingsBindFlags.GET
+        );
         appearanceGroup.add(useCustomThemeRow);
 
         // Emoji Style
         const emojiStyleRow = new Adw.ComboRow({
             title: 'Emoji Style',
-            subtitle: 'Choose emoji rendering style',
+            subtitle: 'Image styles load from ~/.local/share/gemoji/emoji-styles; missing images use the font',
             model: new Gtk.StringList({
-                strings: ['Native', 'Apple', 'Google', 'Twitter', 'Emojipedia'],
+                strings: Object.values(EMOJI_STYLES),
             }),
         });
-        const emojiStyleValues = ['native', 'apple', 'google', 'twitter', 'emojipedia'];
+        const emojiStyleValues = Object.keys(EMOJI_STYLES);
         const currentStyle = settings.get_string('emoji-style');
-        emojiStyleRow.set_selected(emojiStyleValues.indexOf(currentStyle));
+        emojiStyleRow.set_selected(Math.max(0, emojiStyleValues.indexOf(currentStyle)));
         emojiStyleRow.connect('notify::selected', () => {
             settings.set_string('emoji-style', emojiStyleValues[emojiStyleRow.get_selected()]);
         });
         appearanceGroup.add(emojiStyleRow);
 
+        // Unsupported Emojis
+        const unsupportedModeValues = Object.keys(UNSUPPORTED_EMOJI_MODES);
+        const currentUnsupportedMode = settings.get_string('unsupported-emoji-mode');
+        const unsupportedModeRow = new Adw.ComboRow({
+            title: 'Unsupported Emojis',
+            subtitle: 'Emojis the installed fonts cannot render',
+            model: new Gtk.StringList({
+                strings: Object.values(UNSUPPORTED_EMOJI_MODES),
+            }),
+        });
+        unsupportedModeRow.set_selected(Math.max(0, unsupportedModeValues.indexOf(currentUnsupportedMode)));
+        unsupportedModeRow.connect('notify::selected', () => {
+            const newMode = unsupportedModeValues[unsupportedModeRow.get_selected()];
+            settings.set_string('unsupported-emoji-mode', newMode);
+            // Show/hide the version cap
+            maxVersionRow.set_visible(newMode === 'version');
+        });
+        appearanceGroup.add(unsupportedModeRow);
+
+        // Maximum Unicode Version (only shown in version mode)
+        const maxVersionRow = new Adw.ComboRow({
+            title: 'Maximum Unicode Version',
+            subtitle: 'Hide emojis added in later versions',
+            model: new Gtk.StringList({
+                strings: EMOJI_VERSIONS,
+            }),
+            visible: currentUnsupportedMode === 'version',
+        });
+        maxVersionRow.set_selected(Math.max(0, EMOJI_VERSIONS.indexOf(settings.get_string('max-unicode-version'))));
+        maxVersionRow.connect('notify::selected', () => {
+            settings.set_string('max-unicode-version', EMOJI_VERSIONS[maxVersionRow.get_selected()]);
+        });
+        appearanceGroup.add(maxVersionRow);
+
         // Popup Size Mode
         const sizeModeRow = new Adw.ComboRow({
             title: 'Popup Size',
@@ -249,6 +323,56 @@ export default class EmojiPickerPrefs extends ExtensionPreferences {
         });
         appearanceGroup.add(heightRow);
 
+        // Emoji Size, also zoomed with Ctrl+scroll in the popup
+        const emojiSizeRow = new Adw.SpinRow({
+            title: 'Emoji Size',
+            subtitle: 'Glyph size in pixels; Ctrl+scroll or Ctrl+plus/minus in the picker',
+            adjustment: new Gtk.Adjustment({
+                lower: EMOJI_SIZE_LIMITS.min,
+                upper: EMOJI_SIZE_LIMITS.max,
+                step_increment: EMOJI_SIZE_LIMITS.step,
+                page_increment: EMOJI_SIZE_LIMITS.step * 2,
+            }),
+            numeric: true,
+        });
+        settings.bind(
+            'emoji-size',
+            emojiSizeRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        appearanceGroup.add(emojiSizeRow);
+
+        // Popup Placement
+        const placementValues = Object.keys(PLACEMENT_MODES);
+        const placementRow = new Adw.ComboRow({
+            title: 'Popup Placement',
+            subtitle: 'Where the picker opens; always kept inside the work area',
+            model: new Gtk.StringList({
+                strings: Object.values(PLACEMENT_MODES),
+            }),
+        });
+        placementRow.set_selected(Math.max(0, placementValues.indexOf(settings.get_string('popup-placement'))));
+        placementRow.connect('notify::selected', () => {
+            settings.set_string('popup-placement', placementValues[placementRow.get_selected()]);
+        });
+        appearanceGroup.add(placementRow);
+
+        // Popup Monitor
+        const monitorValues = Object.keys(MONITOR_MODES);
+        const monitorRow = new Adw.ComboRow({
+            title: 'Open On',
+            subtitle: 'Monitor used by the center and last position placements',
+            model: new Gtk.StringList({
+                strings: Object.values(MONITOR_MODES),
+            }),
+        });
+        monitorRow.set_selected(Math.max(0, monitorValues.indexOf(settings.get_string('popup-monitor'))));
+        monitorRow.connect('notify::selected', () => {
+            settings.set_string('popup-monitor', monitorValues[monitorRow.get_selected()]);
+        });
+        appearanceGroup.add(monitorRow);
+
         appearancePage.add(appearanceGroup);
 
         // Page 3: Features
@@ -296,6 +420,37 @@ export default class EmojiPickerPrefs extends ExtensionPreferences {
         });
         featuresGroup.add(searchPlaceholderRow);
 
+        // Compose Mode
+        const composeModeRow = new Adw.SwitchRow({
+            title: 'Compose Mode',
+            subtitle: 'Collect several emojis and insert them together with Enter',
+        });
+        settings.bind(
+            'compose-mode',
+            composeModeRow,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        featuresGroup.add(composeModeRow);
+
+        // Emoji Names Language (bundled CLDR annotations)
+        const localeValues = ['', ...this._getAnnotationLocales()];
+        const emojiLocaleRow = new Adw.ComboRow({
+            title: 'Emoji Names Language',
+            subtitle: localeValues.length > 1
+                ? 'Language for emoji names and search keywords'
+                : 'No annotation files found',
+            model: new Gtk.StringList({
+                strings: ['System Default', ...localeValues.slice(1)],
+            }),
+        });
+        const currentLocale = settings.get_string('emoji-locale');
+        emojiLocaleRow.set_selected(Math.max(0, localeValues.indexOf(currentLocale)));
+        emojiLocaleRow.connect('notify::selected', () => {
+            settings.set_string('emoji-locale', localeValues[emojiLocaleRow.get_selected()]);
+        });
+        featuresGroup.add(emojiLocaleRow);
+
         // Suggestion Mode
         const suggestionModeRow = new Adw.ComboRow({
             title: 'Suggestion Mode',
@@ -312,6 +467,24 @@ export default class EmojiPickerPrefs extends ExtensionPreferences {
         });
         featuresGroup.add(suggestionModeRow);
 
+        // Usage History Size
+        const usageHistoryRow = new Adw.SpinRow({
+            title: 'Usage History Size',
+            subtitle: 'Emojis remembered for suggestions (50-5000)',
+            adjustment: new Gtk.Adjustment({
+                lower: 50,
+                upper: 5000,
+                step_increment: 50,
+                page_increment: 500,
+                value: settings.get_int('usage-history-limit'),
+            }),
+            numeric: true,
+        });
+        usageHistoryRow.connect('notify::value', () => {
+            settings.set_int('usage-history-limit', Math.round(usageHistoryRow.get_value()));
+        });
+        featuresGroup.add(usageHistoryRow);
+
         // Skin Tone Location
         const skinToneLocationRow = new Adw.ComboRow({
             title: 'Skin Tone Picker Location',
@@ -355,11 +528,22 @@ export default class EmojiPickerPrefs extends ExtensionPreferences {
         featuresGroup.add(reactionsRow);
 
         featuresPage.add(featuresGroup);
+        featuresPage.add(this._buildReactionsGroup(window, settings));
+        featuresPage.add(this._buildFavoritesGroup(window, settings));
+        featuresPage.add(this._buildHiddenEmojisGroup(window, settings));
+
+        // Page 4: Custom Emojis
+        const customPage = new Adw.PreferencesPage({
+            title: 'Custom Emojis',
+            icon_name: 'list-add-symbolic',
+        });
+        customPage.add(this._buildCustomEmojisGroup(window, settings));
 
         // Add all pages to stack
         stack.add_titled(generalPage, 'general', 'General');
         stack.add_titled(appearancePage, 'appearance', 'Appearance');
         stack.add_titled(featuresPage, 'features', 'Features');
+        stack.add_titled(customPage, 'custom', 'Custom Emojis');
 
         // Set default page
         stack.set_visible_child_name('general');
@@ -383,6 +567,466 @@ export default class EmojiPickerPrefs extends ExtensionPreferences {
         window.set_content(box);
     }
 
+    /**
+     * Build the reaction bar editor
+     * Rows can be dragged to reorder; the position is the Alt+N shortcut.
+     *
+     * @param {Adw.PreferencesWindow} window
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     */
+    _buildReactionsGroup(window, settings) {
+        const group = new Adw.PreferencesGroup({
+            title: 'Reactions',
+            description: `Drag to reorder. Insert with a click or Alt+1…Alt+${REACTIONS_MAX} while the picker is open.`,
+        });
+        settings.bind('reactions-enabled', group, 'sensitive', Gio.SettingsBindFlags.GET);
+
+        const addRow = new Adw.EntryRow({
+            title: 'Add reaction',
+            show_apply_button: true,
+        });
+        addRow.connect('apply', () => {
+            const emoji = addRow.get_text().trim();
+            const reactions = settings.get_strv('reaction-emojis');
+            if (emoji && !reactions.includes(emoji) && reactions.length < REACTIONS_MAX) {
+                settings.set_strv('reaction-emojis', [...reactions, emoji]);
+            }
+            addRow.set_text('');
+        });
+
+        let rows = [];
+        const moveReaction = (from, to) => {
+            const reactions = settings.get_strv('reaction-emojis');
+            if (from === to || !reactions[from] || to < 0 || to >= reactions.length) {
+                return;
+            }
+            const [emoji] = reactions.splice(from, 1);
+            reactions.splice(to, 0, emoji);
+            settings.set_strv('reaction-emojis', reactions);
+        };
+
+        const rebuild = () => {
+            for (const row of rows) {
+                group.remove(row);
+            }
+            rows = [];
+
+            const reactions = settings.get_strv('reaction-emojis');
+            reactions.forEach((emoji, index) => {
+                const row = new Adw.ActionRow({
+                    title: emoji,
+                    subtitle: index < REACTIONS_MAX ? `Alt+${index + 1}` : '',
+                    // Reactions are typed in and may contain markup characters
+                    use_markup: false,
+                });
+                row.add_prefix(new Gtk.Image({ icon_name: 'list-drag-handle-symbolic' }));
+
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    tooltip_text: 'Remove',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                });
+                removeButton.connect('clicked', () => {
+                    settings.set_strv('reaction-emojis', reactions.filter((_, i) => i !== index));
+                });
+                row.add_suffix(removeButton);
+
+                // Drag the row itself; dropping it on another row moves it there
+                const dragSource = new Gtk.DragSource({ actions: Gdk.DragAction.MOVE });
+                dragSource.connect('prepare', () => Gdk.ContentProvider.new_for_value(row));
+                dragSource.connect('drag-begin', (source) => {
+                    source.set_icon(new Gtk.WidgetPaintable({ widget: row }), 0, 0);
+                });
+                row.add_controller(dragSource);
+
+                const dropTarget = Gtk.DropTarget.new(Adw.ActionRow, Gdk.DragAction.MOVE);
+                dropTarget.connect('drop', (_target, sourceRow) => {
+                    moveReaction(rows.indexOf(sourceRow), index);
+                    return true;
+                });
+                row.add_controller(dropTarget);
+
+                group.add(row);
+                rows.push(row);
+            });
+
+            // Keep the add row last
+            group.remove(addRow);
+            group.add(addRow);
+            addRow.set_sensitive(reactions.length < REACTIONS_MAX);
+        };
+
+        group.add(addRow);
+        rebuild();
+        const changedId = settings.connect('changed::reaction-emojis', rebuild);
+        window.connect('close-request', () => {
+            settings.disconnect(changedId);
+            return false;
+        });
+
+        return group;
+    }
+
+    /**
+     * Build the favorites list with reorder and remove buttons
+     * Rows are rebuilt whenever favorite-emojis changes, including pins made in the picker.
+     *
+     * @param {Adw.PreferencesWindow} window
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     */
+    _buildFavoritesGroup(window, settings) {
+        const group = new Adw.PreferencesGroup({
+            title: 'Favorites',
+            description: 'Pinned emojis, shown above the suggestions in this order.',
+        });
+
+        let rows = [];
+        const moveFavorite = (index, offset) => {
+            const favorites = settings.get_strv('favorite-emojis');
+            const target = index + offset;
+            if (target < 0 || target >= favorites.length) {
+                return;
+            }
+            [favorites[index], favorites[target]] = [favorites[target], favorites[index]];
+            settings.set_strv('favorite-emojis', favorites);
+        };
+
+        const rebuild = () => {
+            for (const row of rows) {
+                group.remove(row);
+            }
+            rows = [];
+
+            const favorites = settings.get_strv('favorite-emojis');
+            if (favorites.length === 0) {
+                const emptyRow = new Adw.ActionRow({
+                    title: 'No favorites yet',
+                    subtitle: 'Press Ctrl+D on an emoji in the picker to pin it',
+                });
+                group.add(emptyRow);
+                rows.push(emptyRow);
+                return;
+            }
+
+            favorites.forEach((emoji, index) => {
+                const row = new Adw.ActionRow({
+                    title: emoji,
+                    // Favorites may be custom text containing markup characters
+                    use_markup: false,
+                });
+
+                const buttons = [
+                    ['go-up-symbolic', 'Move up', index > 0, () => moveFavorite(index, -1)],
+                    ['go-down-symbolic', 'Move down', index < favorites.length - 1, () => moveFavorite(index, 1)],
+                    ['user-trash-symbolic', 'Remove', true, () => {
+                        settings.set_strv('favorite-emojis', favorites.filter((_, i) => i !== index));
+                    }],
+                ];
+                for (const [iconName, tooltip, sensitive, action] of buttons) {
+                    const button = new Gtk.Button({
+                        icon_name: iconName,
+                        tooltip_text: tooltip,
+                        sensitive,
+                        valign: Gtk.Align.CENTER,
+                        css_classes: ['flat'],
+                    });
+                    button.connect('clicked', action);
+                    row.add_suffix(button);
+                }
+
+                group.add(row);
+                rows.push(row);
+            });
+        };
+
+        rebuild();
+        const changedId = settings.connect('changed::favorite-emojis', rebuild);
+        window.connect('close-request', () => {
+            settings.disconnect(changedId);
+            return false;
+        });
+
+        return group;
+    }
+
+    /**
+     * Build the list of emojis hidden from the picker with restore buttons
+     *
+     * @param {Adw.PreferencesWindow} window
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     */
+    _buildHiddenEmojisGroup(window, settings) {
+        const group = new Adw.PreferencesGroup({
+            title: 'Hidden Emojis',
+            description: 'Left out of the grid and search results.',
+        });
+
+        let rows = [];
+        const rebuild = () => {
+            for (const row of rows) {
+                group.remove(row);
+            }
+            rows = [];
+
+            const hidden = settings.get_strv('hidden-emojis');
+            if (hidden.length === 0) {
+                const emptyRow = new Adw.ActionRow({
+                    title: 'No hidden emojis',
+                    subtitle: 'Right-click an emoji in the picker and choose Hide This Emoji',
+                });
+                group.add(emptyRow);
+                rows.push(emptyRow);
+                return;
+            }
+
+            hidden.forEach((emoji, index) => {
+                const custom = emoji.startsWith(HIDDEN_CUSTOM_PREFIX);
+                const row = new Adw.ActionRow({
+                    title: custom ? emoji.slice(HIDDEN_CUSTOM_PREFIX.length) : emoji,
+                    subtitle: custom ? 'Custom emoji' : '',
+                    // Custom text such as kaomoji may contain markup characters
+                    use_markup: false,
+                });
+                const button = new Gtk.Button({
+                    icon_name: 'edit-undo-symbolic',
+                    tooltip_text: 'Show again',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                });
+                button.connect('clicked', () => {
+                    settings.set_strv('hidden-emojis', hidden.filter((_, i) => i !== index));
+                });
+                row.add_suffix(button);
+
+                group.add(row);
+                rows.push(row);
+            });
+        };
+
+        rebuild();
+        const changedId = settings.connect('changed::hidden-emojis', rebuild);
+        window.connect('close-request', () => {
+            settings.disconnect(changedId);
+            return false;
+        });
+
+        return group;
+    }
+
+    /**
+     * Build the custom emoji editor
+     * Entries are stored as a JSON array in custom-emojis; text edits are saved on apply.
+     *
+     * @param {Adw.PreferencesWindow} window
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     */
+    _buildCustomEmojisGroup(window, settings) {
+        const group = new Adw.PreferencesGroup({
+            title: 'Custom Emojis',
+            description: 'Any text, e.g. kaomoji or ZWJ sequences. Shown in search and the Custom tab when Custom Emojis is enabled under Features.',
+        });
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: 'Add custom emoji',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        group.set_header_suffix(addButton);
+
+        const categories = ['Custom', ...CATEGORIES.filter(category =>
+            category !== 'Custom' && category !== 'Favorites' && category !== 'Frequently Used')];
+
+        const loadEntries = () => {
+            try {
+                const data = JSON.parse(settings.get_string('custom-emojis') || '[]');
+                return Array.isArray(data) ? data : [];
+            } catch (e) {
+                return [];
+            }
+        };
+
+        // Our own writes don't need a rebuild, which would collapse the open row
+        let saving = false;
+        const saveEntries = (entries) => {
+            saving = true;
+            settings.set_string('custom-emojis', JSON.stringify(entries));
+            saving = false;
+        };
+
+        const splitList = text => text.split(',').map(word => word.trim()).filter(word => word);
+
+        let rows = [];
+        const rebuild = (expandIndex = -1) => {
+            for (const row of rows) {
+                group.remove(row);
+            }
+            rows = [];
+
+            const entries = loadEntries();
+            if (entries.length === 0) {
+                const emptyRow = new Adw.ActionRow({
+                    title: 'No custom emojis yet',
+                    subtitle: 'Use the + button to add one',
+                });
+                group.add(emptyRow);
+                rows.push(emptyRow);
+                return;
+            }
+
+            entries.forEach((entry, index) => {
+                const row = new Adw.ExpanderRow({
+                    title: entry.emoji || '(empty)',
+                    subtitle: entry.description || '',
+                    expanded: index === expandIndex,
+                    // Custom text such as kaomoji may contain markup characters
+                    use_markup: false,
+                });
+
+                const updateEntry = (changes) => {
+                    const current = loadEntries();
+                    if (!current[index]) {
+                        return;
+                    }
+                    current[index] = { ...current[index], ...changes };
+                    saveEntries(current);
+                    row.set_title(current[index].emoji || '(empty)');
+                    row.set_subtitle(current[index].description || '');
+                };
+
+                const fields = [
+                    ['Text', entry.emoji ?? '', text => updateEntry({ emoji: text.trim() })],
+                    ['Description', entry.description ?? '', text => updateEntry({ description: text.trim() })],
+                    ['Aliases (comma separated)', (entry.aliases ?? []).join(', '), text => updateEntry({ aliases: splitList(text) })],
+                    ['Tags (comma separated)', (entry.tags ?? []).join(', '), text => updateEntry({ tags: splitList(text) })],
+                ];
+                for (const [title, text, apply] of fields) {
+                    const entryRow = new Adw.EntryRow({
+                        title,
+                        text,
+                        show_apply_button: true,
+                        use_markup: false,
+                    });
+                    entryRow.connect('apply', () => apply(entryRow.get_text()));
+                    row.add_row(entryRow);
+                }
+
+                const categoryRow = new Adw.ComboRow({
+                    title: 'Category',
+                    model: new Gtk.StringList({ strings: categories }),
+                    use_markup: false,
+                });
+                categoryRow.set_selected(Math.max(0, categories.indexOf(entry.category)));
+                categoryRow.connect('notify::selected', () => {
+                    updateEntry({ category: categories[categoryRow.get_selected()] });
+                });
+                row.add_row(categoryRow);
+
+                const deleteButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    tooltip_text: 'Delete',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                });
+                deleteButton.connect('clicked', () => {
+                    saveEntries(loadEntries().filter((_, i) => i !== index));
+                    rebuild();
+                });
+                row.add_suffix(deleteButton);
+
+                group.add(row);
+                rows.push(row);
+            });
+        };
+
+        addButton.connect('clicked', () => {
+            const entries = loadEntries();
+            entries.push({ emoji: '', description: '', aliases: [], tags: [], category: 'Custom' });
+            saveEntries(entries);
+            rebuild(entries.length - 1);
+        });
+
+        rebuild();
+        const changedId = settings.connect('changed::custom-emojis', () => {
+            if (!saving) {
+                rebuild();
+            }
+        });
+        window.connect('close-request', () => {
+            settings.disconnect(changedId);
+            return false;
+        });
+
+        return group;
+    }
+
+    /**
+     * Get locales with CLDR annotation files, bundled or in ~/.local/share/gemoji
+     *
+     * @returns {Array<string>}
+     */
+    _getAnnotationLocales() {
+        const locales = new Set();
+
+        for (const dataDir of getAnnotationDirectories(this.dir)) {
+            for (const folder of ['annotations', 'annotationsDerived']) {
+                const dir = dataDir.get_child(folder);
+                if (!dir.query_exists(null)) {
+                    continue;
+                }
+
+                try {
+                    const enumerator = dir.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+                    let info;
+                    while ((info = enumerator.next_file(null)) !== null) {
+                        const match = info.get_name().match(/^(.+)\.(xml|json)$/);
+                        if (match) {
+                            locales.add(match[1]);
+                        }
+                    }
+                    enumerator.close(null);
+                } catch (e) {
+                    log(`emoji-picker: failed to list ${dir.get_path()}: ${e}`);
+                }
+            }
+        }
+
+        return [...locales].sort();
+    }
+
+    /**
+     * Create a row editing a color setting of the custom theme
+     *
+     * @param {Gio.Settings} settings
+     * @param {string} key - String key holding a CSS color
+     * @param {string} title
+     * @returns {Adw.ActionRow}
+     */
+    _createColorRow(settings, key, title) {
+        const row = new Adw.ActionRow({ title });
+
+        const rgba = new Gdk.RGBA();
+        rgba.parse(settings.get_string(key));
+
+        const colorButton = new Gtk.ColorDialogButton({
+            dialog: new Gtk.ColorDialog({ title, with_alpha: true }),
+            rgba,
+            valign: Gtk.Align.CENTER,
+        });
+        colorButton.connect('notify::rgba', () => {
+            settings.set_string(key, colorButton.get_rgba().to_string());
+        });
+
+        row.add_suffix(colorButton);
+        row.set_activatable_widget(colorButton);
+        return row;
+    }
+
     /**
      * Get keybind label text
      *
@@ -0,0 +1,105 @@
+/**
+ * Search Benchmark
+ * Reports search index build time and per-query latency over the
+ * bundled dataset, so search regressions are visible. Typo queries are
+ * reported separately, since the fuzzy token lookup dominates their cost.
+ *
+ * Usage: gjs -m tools/benchmarkSearch.js [query...]
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { loadEmojiDataAsync, EmojiSearchIndex } from '../core/emojiData.js';
+import { SearchManager } from '../core/searchManager.js';
+
+const ITERATIONS = 50;
+
+const DEFAULT_QUERIES = [
+    'cat',
+    'heart',
+    'red heart',
+    '"thumbs up"',
+    'face -cat',
+    'cat:food',
+    'v:<=12.0 smile',
+    'h',
+];
+
+// Typo queries of each tolerated length, from one typo (4-5 letters) to two (6+)
+const FUZZY_QUERIES = [
+    'hart',
+    'smiel',
+    'thumsb',
+    'rocekt',
+    'celebartion',
+    'techonlogist',
+];
+
+/**
+ * Run a function repeatedly and collect timings
+ *
+ * @param {Function} fn
+ * @returns {{avg: number, max: number}} - Milliseconds
+ */
+function measure(fn) {
+    let total = 0;
+    let max = 0;
+    for (let i = 0; i < ITERATIONS; i++) {
+        const start = GLib.get_monotonic_time();
+        fn();
+        const elapsed = (GLib.get_monotonic_time() - start) / 1000;
+        total += elapsed;
+        max = Math.max(max, elapsed);
+    }
+    return { avg: total / ITERATIONS, max };
+}
+
+/**
+ * Report index build and query timings for a dataset
+ *
+ * @param {Array<object>} emojiData
+ */
+function runBenchmark(emojiData) {
+    const searchManager = new SearchManager(null, () => {});
+
+    print(`Dataset: ${emojiData.length} emojis, ${ITERATIONS} iterations each`);
+
+    const build = measure(() => new EmojiSearchIndex(emojiData));
+    print(`Index build: avg ${build.avg.toFixed(2)} ms, max ${build.max.toFixed(2)} ms`);
+
+    const runQueries = (label, queries) => {
+        let total = 0;
+        for (const query of queries) {
+            let results = [];
+            const timing = measure(() => {
+                results = searchManager.filterEmojis(query.toLowerCase(), emojiData);
+            });
+            total += timing.avg;
+            print(`${label} ${JSON.stringify(query)}: ${results.length} results, avg ${timing.avg.toFixed(2)} ms, max ${timing.max.toFixed(2)} ms`);
+        }
+        return total / queries.length;
+    };
+
+    if (ARGV.length > 0) {
+        runQueries('Query', ARGV);
+        return;
+    }
+
+    runQueries('Query', DEFAULT_QUERIES);
+    const fuzzyAvg = runQueries('Fuzzy query', FUZZY_QUERIES);
+    print(`Fuzzy queries: avg ${fuzzyAvg.toFixed(2)} ms`);
+}
+
+// The dataset is loaded like the extension loads it, so run a main loop for the async reads
+const extensionDir = Gio.File.new_for_uri(import.meta.url).get_parent().get_parent();
+const loop = new GLib.MainLoop(null, false);
+loadEmojiDataAsync(extensionDir)
+    .then(runBenchmark)
+    .catch(error => logError(error, 'benchmark failed'))
+    .finally(() => loop.quit());
+loop.run();
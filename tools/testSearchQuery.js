@@ -0,0 +1,97 @@
+/**
+ * Search Query Tests
+ * Checks how queries with operators and punctuation are parsed and
+ * matched, over a small fixed dataset.
+ *
+ * Usage: gjs -m tools/testSearchQuery.js
+ *
+ * @author     Ashu <ashu@example.local>
+ * @copyright  2025
+ * @license    GPL-3.0-only
+ */
+
+import System from 'system';
+
+import { parseSearchQuery, SearchManager } from '../core/searchManager.js';
+
+const EMOJI_DATA = [
+    { emoji: '😄', description: 'grinning face with smiling eyes', aliases: ['smile'], tags: ['happy', 'joy'], category: 'Smileys & Emotion', unicode_version: '6.0' },
+    { emoji: '🫰', description: 'hand with index finger and thumb crossed', aliases: ['hand_with_index_finger_and_thumb_crossed'], tags: [], category: 'People & Body', unicode_version: '14.0' },
+    { emoji: '👍', description: 'thumbs up', aliases: ['+1', 'thumbsup'], tags: ['approve', 'ok'], category: 'People & Body', unicode_version: '6.0' },
+    { emoji: '🐱', description: 'cat face', aliases: ['cat'], tags: ['pet'], category: 'Animals & Nature', unicode_version: '6.0' },
+    { emoji: '🍕', description: 'pizza', aliases: ['pizza'], tags: [], category: 'Food & Drink', unicode_version: '6.0' },
+    { emoji: '🧑‍💻', description: 'technologist', aliases: ['technologist'], tags: ['coder', 'computer'], category: 'People & Body', unicode_version: '12.1' },
+];
+
+let failures = 0;
+
+/**
+ * Report a check
+ *
+ * @param {string} name
+ * @param {boolean} passed
+ * @param {*} actual - Shown on failure
+ */
+function check(name, passed, actual) {
+    print(`${passed ? 'ok' : 'FAIL'} - ${name}${passed ? '' : ` (got ${JSON.stringify(actual)})`}`);
+    if (!passed) {
+        failures++;
+    }
+}
+
+/**
+ * Search the test dataset
+ *
+ * @param {string} query
+ * @returns {{emojis: string, hints: Array<string>}}
+ */
+function search(query) {
+    const searchManager = new SearchManager(null, () => {});
+    const results = searchManager.filterEmojis(query, EMOJI_DATA);
+    return { emojis: results.map(item => item.emoji).join(''), hints: searchManager.getHints() };
+}
+
+// Unknown operator: hinted, then searched as text instead of returning everything
+let parsed = parseSearchQuery('foo:bar');
+check('unknown operator is reported', parsed.errors.length === 1, parsed.errors);
+check('unknown operator becomes a term', parsed.include[0]?.text === 'foo:bar', parsed.include);
+let result = search('foo:bar');
+check('unknown operator does not return the unfiltered list', result.emojis === '', result.emojis);
+check('unknown operator shows a hint', result.hints.length === 1, result.hints);
+
+// Word followed by a colon: a plain term, not an operator being typed
+parsed = parseSearchQuery('smile:');
+check('trailing colon is not an operator', parsed.errors.length === 0 && parsed.include[0]?.text === 'smile', parsed);
+result = search('smile:');
+check('trailing colon searches the word', result.emojis === '😄', result.emojis);
+
+// Known operator still being typed is skipped without a hint
+parsed = parseSearchQuery('cat:');
+check('known operator without value is skipped', parsed.filters.length === 0 && parsed.include.length === 0 && parsed.errors.length === 0, parsed);
+
+// Invalid filter value: hinted and searched as text
+result = search('is:pizza');
+check('invalid filter value is reported', result.hints.length === 1, result.hints);
+check('invalid filter value does not return the unfiltered list', result.emojis === '', result.emojis);
+
+// Punctuation
+result = search('+');
+check('punctuation-only term matches aliases', result.emojis === '👍', result.emojis);
+result = search('+1');
+check('alias with punctuation matches', result.emojis === '👍', result.emojis);
+result = search('c++');
+check('term with punctuation falls back to its words', result.emojis.includes('🐱') && result.emojis.includes('🧑‍💻'), result.emojis);
+
+// Typo matches tied on score rank the closer word first, not dataset order
+result = search('thumsb');
+check('typo tie ranks the closer word first', result.emojis.startsWith('👍'), result.emojis);
+
+// Valid filters still filter
+result = search('cat:food');
+check('category filter', result.emojis === '🍕', result.emojis);
+
+if (failures > 0) {
+    print(`${failures} failed`);
+    System.exit(1);
+}
+print('All passed');